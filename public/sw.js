@@ -0,0 +1,72 @@
+// Offline support. The app shell (index.html plus the scripts and styles it
+// links) is cached on install; office data and delivery zones are bundled
+// into those scripts, so they are available offline with it. Pages are
+// network first, hashed build assets cache first, and other same-origin
+// files are served from the cache while being refreshed. Map SDKs, tiles
+// and APIs on other origins always go to the network.
+
+// The page registers the worker with its build id, so a new deploy installs
+// a new worker whose cache replaces the old one on activation.
+const CACHE = `express-delivery-${new URL(self.location).searchParams.get('build') || 'dev'}`
+const SHELL = ['/', '/manifest.webmanifest', '/icon.svg']
+
+// Vite emits hashed file names, so they are read from the built index.html
+const getShellAssets = (html) =>
+  [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(([, path]) => path)
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE).then(async (cache) => {
+      await cache.addAll(SHELL)
+      const html = await (await cache.match('/')).text()
+      await cache.addAll(getShellAssets(html))
+    }).then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  )
+})
+
+const putInCache = (request, response) => {
+  if (response.ok) {
+    const copy = response.clone()
+    caches.open(CACHE).then(cache => cache.put(request, copy))
+  }
+  return response
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => putInCache('/', response))
+        .catch(() => caches.match('/'))
+    )
+    return
+  }
+
+  if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(
+      caches.match(request).then(cached => cached || fetch(request).then(response => putInCache(request, response)))
+    )
+    return
+  }
+
+  event.respondWith(
+    caches.match(request).then(cached => {
+      const network = fetch(request)
+        .then(response => putInCache(request, response))
+        .catch(() => cached)
+      return cached || network
+    })
+  )
+})
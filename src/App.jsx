@@ -1,276 +1,779 @@
-import { useState, useEffect, useRef } from 'react'
+import { useState, useEffect, useRef, useMemo } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
-import { Package, MapPin, Clock, Phone, Mail, Search, Target, Truck, Zap, Shield, Globe, ChevronRight, X, Menu, Send, CheckCircle, AlertCircle } from 'lucide-react'
+import { Package, MapPin, Clock, Phone, Mail, Target, Truck, Zap, Shield, Globe, ChevronRight, X, Menu, Send, CheckCircle, AlertCircle, LocateFixed, Crosshair } from 'lucide-react'
+import OrderWizard from './components/OrderWizard'
+import TrackingPanel from './components/TrackingPanel'
+import QuotePanel from './components/QuotePanel'
+import NearestOffices from './components/NearestOffices'
+import AddressAutocomplete from './components/AddressAutocomplete'
+import WaypointList from './components/WaypointList'
+import RouteSummary from './components/RouteSummary'
+import RoutingOptions from './components/RoutingOptions'
+import RouteAlternatives from './components/RouteAlternatives'
+import DirectionsPanel from './components/DirectionsPanel'
+import RoutePrintView from './components/RoutePrintView'
+import LanguageSwitcher from './components/LanguageSwitcher'
+import DeliveryZonesControl from './components/DeliveryZonesControl'
+import CoverageNotice from './components/CoverageNotice'
+import OfficeList from './components/OfficeList'
+import OfficeDirectory from './components/OfficeDirectory'
+import PickupScheduler from './components/PickupScheduler'
+import MapFallback from './components/MapFallback'
+import { geocodeAddress } from './lib/geocoder'
+import { createMapProvider } from './lib/map'
+import { getOffices, getOfficesBounds, formatHours, formatCityList } from './lib/offices'
+import { getOpenStatus, getStatusTone, formatOpenStatus, STATUS_TEXT_CLASSES } from './lib/openingHours'
+import { getCurrentPosition, GEOLOCATION_ERRORS } from './lib/geolocation'
+import { useNow } from './hooks/useNow'
+import { useI18n } from './hooks/useI18n'
+import { useDialog } from './hooks/useDialog'
+import { formatPhone } from './lib/format'
+import { rankOffices, refineRanking } from './lib/nearestOffices'
+import { optimizeStopOrder } from './lib/routeOptimizer'
+import { supportsTraffic } from './lib/routing'
+import { EMPTY_LINK, parseDeepLink, buildDeepLink } from './lib/deepLink'
+import { getLastPosition, createTrackingSource } from './lib/tracking'
+import { zones, findDeliveryZone, TIER_COLORS } from './lib/deliveryZones'
+import { createContactBackend, createEnvelope, SUBMISSION_ERRORS, CONTACT_TOPICS, ATTACHMENT_TYPES, getFormFields, validateContactFields, CONTACT_LIMITS, HONEYPOT_FIELD, isLikelyBot, getCooldownLeft, startCooldown, isQueueSupported, queueSubmission, getQueuedCount, flushQueue } from './lib/contact'
+import { getRegion } from './lib/phone'
+import { createBookingSource } from './lib/pickup'
 
-// Universal Web3Forms Handler Hook
-const useFormHandler = () => {
+// Universal Form Handler Hook. Submits through the contact backend chosen
+// in the environment (see src/lib/contact). `validate(fields)` returns
+// { errors, values }: catalogue keys by field and the values to send.
+// `route(fields)` returns the envelope ({ to, subject, tags }) for them.
+// Messages that fail for lack of a connection are queued and sent once it
+// is back; `queueStatus` ({ type: 'queued' | 'sent' | 'dropped', count })
+// reports on them.
+const useFormHandler = ({ validate, route } = {}) => {
+  const { t } = useI18n();
+  // An unknown backend or one missing its setting leaves the form up with
+  // an error instead of taking the page down
+  const backend = useMemo(() => {
+    try {
+      return createContactBackend();
+    } catch (error) {
+      console.error('Contact backend error:', error);
+      return null;
+    }
+  }, []);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isSuccess, setIsSuccess] = useState(false);
-  const [isError, setIsError] = useState(false);
-  const [errorMessage, setErrorMessage] = useState('');
+  const [isError, setIsError] = useState(!backend);
+  const [errorMessage, setErrorMessage] = useState(() => (backend ? '' : t('contact.error.unavailable')));
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [validationErrors, setValidationErrors] = useState({});
+  const [queueStatus, setQueueStatus] = useState(null);
+  const startedAtRef = useRef(Date.now());
+  
+  // Replay queued messages on load and whenever the connection comes back
+  useEffect(() => {
+    if (!backend || !isQueueSupported()) return;
+    
+    let isActive = true;
+    const replay = () => flushQueue(backend)
+      .then(async ({ sent, dropped }) => {
+        const queued = await getQueuedCount();
+        if (!isActive) return;
+        if (dropped) {
+          setQueueStatus({ type: 'dropped', count: dropped });
+        } else if (sent) {
+          setQueueStatus({ type: 'sent', count: sent });
+        } else if (queued) {
+          setQueueStatus({ type: 'queued', count: queued });
+        }
+      })
+      .catch(error => console.error('Contact queue error:', error));
+    
+    replay();
+    window.addEventListener('online', replay);
+    return () => {
+      isActive = false;
+      window.removeEventListener('online', replay);
+    };
+  }, [backend]);
   
-  const handleSubmit = async (e, accessKey) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    setIsSubmitting(true);
     setIsError(false);
+    setFieldErrors({});
     
-    const formData = new FormData(e.target);
-    formData.append('access_key', accessKey);
+    const form = e.target;
+    const formData = new FormData(form);
     
-    try {
-      const response = await fetch('https://api.web3forms.com/submit', {
-        method: 'POST',
-        body: formData
-      });
-      
-      const data = await response.json();
-      
-      if (data.success) {
-        setIsSuccess(true);
-        e.target.reset();
-      } else {
-        setIsError(true);
-        setErrorMessage(data.message || 'Что-то пошло не так');
+    if (!backend) {
+      setIsError(true);
+      setErrorMessage(t('contact.error.unavailable'));
+      return;
+    }
+    
+    const cooldownLeft = getCooldownLeft();
+    if (cooldownLeft > 0) {
+      setIsError(true);
+      setErrorMessage(t('contact.error.cooldown', { seconds: Math.ceil(cooldownLeft / 1000) }));
+      return;
+    }
+    
+    // Bots get the success screen, but nothing is sent
+    if (isLikelyBot(formData, startedAtRef.current)) {
+      setIsSuccess(true);
+      form.reset();
+      return;
+    }
+    formData.delete(HONEYPOT_FIELD);
+    
+    let fields = getFormFields(formData);
+    if (validate) {
+      const { errors, values } = validate(fields);
+      setValidationErrors(errors);
+      const invalid = Object.keys(errors);
+      if (invalid.length) {
+        form.elements[invalid[0]]?.focus();
+        return;
       }
+      fields = { ...fields, ...values };
+    }
+    
+    // Send the checked values: trimmed text, normalised phone, no empty files
+    Object.entries(fields).forEach(([name, value]) => {
+      formData.delete(name);
+      [].concat(value).forEach(item => formData.append(name, item));
+    });
+    
+    setIsSubmitting(true);
+    const envelope = route ? route(fields) : {};
+    
+    try {
+      await backend.submit(formData, envelope);
+      startCooldown();
+      setIsSuccess(true);
+      form.reset();
     } catch (error) {
+      // Offline: keep the message instead of losing what was typed
+      if (error.reason === SUBMISSION_ERRORS.network && isQueueSupported()) {
+        try {
+          await queueSubmission(formData, envelope);
+          startCooldown();
+          setQueueStatus({ type: 'queued', count: await getQueuedCount() });
+          form.reset();
+          return;
+        } catch (queueError) {
+          console.error('Contact queue error:', queueError);
+        }
+      }
       setIsError(true);
-      setErrorMessage('Ошибка сети. Попробуйте снова.');
+      setFieldErrors(error.fieldErrors || {});
+      setErrorMessage(
+        error.reason === SUBMISSION_ERRORS.network
+          ? t('contact.error.network')
+          : error.serverMessage || t('contact.error.generic')
+      );
     } finally {
       setIsSubmitting(false);
     }
   };
   
+  const checkField = (name, value) => {
+    const error = validate({ [name]: value }).errors[name];
+    setValidationErrors(errors => ({ ...errors, [name]: error }));
+  };
+  
+  // Inline checks: a filled-in field is checked when it loses focus, and
+  // its error goes away as soon as it is edited. Picked files are checked
+  // straight away.
+  const handleBlur = (e) => {
+    const { name, value, files } = e.target;
+    if (!validate || !name || files || !value.trim()) return;
+    checkField(name, value);
+  };
+  
+  const handleInput = (e) => {
+    const { name, files } = e.target;
+    const clear = (errors) => (errors[name] ? { ...errors, [name]: undefined } : errors);
+    setFieldErrors(clear);
+    if (validate && files) {
+      checkField(name, [...files]);
+    } else {
+      setValidationErrors(clear);
+    }
+  };
+  
   const resetForm = () => {
     setIsSuccess(false);
     setIsError(false);
     setErrorMessage('');
+    setFieldErrors({});
+    setValidationErrors({});
+    startedAtRef.current = Date.now();
   };
   
-  return { isSubmitting, isSuccess, isError, errorMessage, handleSubmit, resetForm };
+  return { isSubmitting, isSuccess, isError, errorMessage, fieldErrors, validationErrors, queueStatus, handleSubmit, handleBlur, handleInput, resetForm };
 };
 
+const STATUS_COLORS = {
+  open: 'green',
+  closing: 'orange',
+  closed: 'gray'
+}
+
+// Marker options for an office placemark, coloured by its open/closed status.
+// `i18n` is the value of useI18n.
+const getOfficeMarker = (office, now, { t, tag }) => {
+  const status = getOpenStatus(office, now)
+  const statusText = formatOpenStatus(status, t)
+
+  return {
+    type: 'office',
+    color: STATUS_COLORS[getStatusTone(status)],
+    hint: `${office.city} · ${statusText}`,
+    balloon: {
+      title: office.city,
+      lines: [
+        statusText,
+        { label: t('office.address'), value: office.address },
+        { label: t('office.phone'), value: formatPhone(office.phone, office.country, tag) },
+        { label: t('office.email'), value: office.email },
+        { label: t('office.hours'), value: formatHours(office.hours, tag) }
+      ]
+    }
+  }
+}
+
+// Entries for the clustered office layer, one per office
+const getOfficeMarkers = (offices, now, i18n) =>
+  offices.map(office => ({
+    id: office.id,
+    coords: office.coords,
+    ...getOfficeMarker(office, now, i18n)
+  }))
+
+// How close to the viewport the map gets before its SDK starts loading
+const MAP_LOAD_MARGIN = '300px'
+
+const GEOLOCATION_MESSAGES = {
+  [GEOLOCATION_ERRORS.unsupported]: 'geolocation.unsupported',
+  [GEOLOCATION_ERRORS.denied]: 'geolocation.denied',
+  [GEOLOCATION_ERRORS.unavailable]: 'geolocation.unavailable',
+  [GEOLOCATION_ERRORS.timeout]: 'geolocation.timeout'
+}
+
 function App() {
+  const i18n = useI18n()
+  const { t, tag, locale } = i18n
+  const offices = useMemo(() => getOffices(locale), [locale])
   const [searchQuery, setSearchQuery] = useState('')
   const [selectedOffice, setSelectedOffice] = useState(null)
   const [showMobileMenu, setShowMobileMenu] = useState(false)
   const [routeMode, setRouteMode] = useState(false)
   const [searchError, setSearchError] = useState('')
+  const [showOrderWizard, setShowOrderWizard] = useState(false)
+  const [orders, setOrders] = useState([])
+  const [routeInfo, setRouteInfo] = useState(null)
+  const [routeOffice, setRouteOffice] = useState(null)
+  // Drop-off points visited after the office, in order
+  const [stops, setStops] = useState([])
+  const [routingMode, setRoutingMode] = useState('auto')
+  const [useTraffic, setUseTraffic] = useState(false)
+  // 'idle' until the map nears the viewport, then 'loading', 'ready' or 'failed'
+  const [mapStatus, setMapStatus] = useState('idle')
+  const [shouldLoadMap, setShouldLoadMap] = useState(false)
+  // Bumped by the retry button to load the map SDK again
+  const [mapAttempt, setMapAttempt] = useState(0)
+  const [officeRanking, setOfficeRanking] = useState(null)
+  // Geocoded location for the current search text, shared by search and routing
+  const [searchLocation, setSearchLocation] = useState(null)
+  const [isLocating, setIsLocating] = useState(false)
+  const [isPickingOrigin, setIsPickingOrigin] = useState(false)
+  const [showZones, setShowZones] = useState(false)
+  // Delivery zone check for the searched address: { zone }, zone null when
+  // the address is out of coverage
+  const [coverage, setCoverage] = useState(null)
+  // Visible map area, used to sync the office list with the map
+  const [mapBounds, setMapBounds] = useState(null)
   const mapRef = useRef(null)
-  const ymapsRef = useRef(null)
-
-  const offices = [
-    {
-      id: 1,
-      city: 'Париж',
-      address: 'Champs-Élysées, 75008 Paris, France',
-      coords: [48.8698, 2.3078],
-      phone: '+33 1 23 45 67 89',
-      email: 'paris@expressdelivery.com',
-      hours: 'Пн-Пт: 08:00 - 20:00, Сб-Вс: 09:00 - 18:00'
-    },
-    {
-      id: 2,
-      city: 'Лондон',
-      address: 'Oxford Street, London W1D 1BS, UK',
-      coords: [51.5155, -0.1415],
-      phone: '+44 20 7123 4567',
-      email: 'london@expressdelivery.com',
-      hours: 'Пн-Пт: 08:00 - 20:00, Сб-Вс: 09:00 - 18:00'
+  const providerRef = useRef(null)
+  const mapContainerRef = useRef(null)
+  const rankingRequestRef = useRef(0)
+  // Named map layers: offices (clustered), search and tracking markers.
+  // The route is kept apart in routeHandleRef.
+  const layersRef = useRef({})
+  const mapClickHandlerRef = useRef(() => {})
+  const routeHandleRef = useRef(null)
+  // State mirrored in the URL; writes are suspended while a link is restored
+  const linkRef = useRef(EMPTY_LINK)
+  const isRestoringLinkRef = useRef(false)
+  const popStateHandlerRef = useRef(() => {})
+  const now = useNow()
+
+  // A misconfigured source fails each request rather than the whole page.
+  // The tracking source is rebuilt with the offices of each language, and
+  // the orders placed so far are registered again.
+  const trackingSource = useMemo(() => {
+    try {
+      const source = createTrackingSource(offices)
+      orders.forEach(source.addOrder)
+      return source
+    } catch (error) {
+      console.error('Tracking source error:', error)
+      return { lookup: () => Promise.reject(error), addOrder: () => {} }
     }
-  ]
+  }, [offices])
+  const [pickupSource] = useState(() => {
+    try {
+      return createBookingSource()
+    } catch (error) {
+      console.error('Pickup booking source error:', error)
+      return { list: () => Promise.reject(error), add: () => Promise.reject(error) }
+    }
+  })
+  const isMapReady = mapStatus === 'ready'
 
+  // The map SDK is only loaded once the map is about to scroll into view
   useEffect(() => {
-    if (typeof window.ymaps !== 'undefined') {
-      window.ymaps.ready(() => {
-        const map = new window.ymaps.Map('map', {
-          center: [50.0, 0.5],
-          zoom: 5,
-          controls: ['zoomControl', 'fullscreenControl']
-        })
+    if (shouldLoadMap) return
 
-        ymapsRef.current = window.ymaps
-        mapRef.current = map
-
-        offices.forEach(office => {
-          const placemark = new window.ymaps.Placemark(
-            office.coords,
-            {
-              balloonContentHeader: `<strong class="text-lg">${office.city}</strong>`,
-              balloonContentBody: `
-                <div class="p-2">
-                  <p class="mb-2"><strong>Адрес:</strong> ${office.address}</p>
-                  <p class="mb-2"><strong>Телефон:</strong> ${office.phone}</p>
-                  <p class="mb-2"><strong>Email:</strong> ${office.email}</p>
-                  <p><strong>Часы работы:</strong> ${office.hours}</p>
-                </div>
-              `,
-              hintContent: office.city
-            },
-            {
-              preset: 'islands#redDeliveryIcon',
-              iconColor: '#ef4444'
-            }
-          )
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) setShouldLoadMap(true)
+    }, { rootMargin: MAP_LOAD_MARGIN })
+    observer.observe(mapContainerRef.current)
+    return () => observer.disconnect()
+  }, [shouldLoadMap])
 
-          placemark.events.add('click', () => {
-            setSelectedOffice(office)
-          })
+  // The map is rebuilt in the new language when the locale changes; the
+  // shared-link restore below then brings back the search and route
+  useEffect(() => {
+    if (!shouldLoadMap) return
 
-          map.geoObjects.add(placemark)
-        })
+    // A misconfigured provider name fails like an SDK that does not load
+    let provider
+    try {
+      provider = createMapProvider(i18n)
+    } catch (error) {
+      console.error('Map provider error:', error)
+      setMapStatus('failed')
+      return () => setMapStatus('idle')
+    }
+
+    let isCancelled = false
+    setMapStatus('loading')
+
+    provider.load().then(() => {
+      if (isCancelled) return
+
+      const map = provider.createMap(mapContainerRef.current, {
+        center: [50.0, 0.5],
+        zoom: 5
       })
+
+      providerRef.current = provider
+      mapRef.current = map
+
+      map.onClick((coords, options) => mapClickHandlerRef.current(coords, options))
+      map.onBoundsChange(setMapBounds)
+      setMapBounds(map.getBounds())
+
+      layersRef.current = {
+        offices: map.addClusterLayer({
+          onClick: id => openOffice(offices.find(office => office.id === id))
+        }),
+        search: map.addLayer(),
+        tracking: map.addLayer()
+      }
+      layersRef.current.offices.setMarkers(getOfficeMarkers(offices, new Date(), i18n))
+      setMapStatus('ready')
+    }).catch(error => {
+      console.error('Map provider error:', error)
+      if (!isCancelled) setMapStatus('failed')
+    })
+
+    return () => {
+      isCancelled = true
+      mapRef.current?.destroy()
+      mapRef.current = null
+      layersRef.current = {}
+      routeHandleRef.current = null
+      setRouteMode(false)
+      setRouteInfo(null)
+      setRouteOffice(null)
+      setMapStatus('idle')
+      setMapBounds(null)
+      providerRef.current = null
+    }
+  }, [i18n, shouldLoadMap, mapAttempt])
+
+  // Recolour office placemarks and refresh their status as time passes
+  useEffect(() => {
+    layersRef.current.offices?.setMarkers(getOfficeMarkers(offices, now, i18n))
+  }, [now])
+
+  // Delivery zone overlay. A map rebuilt for another language is new, so
+  // only remove the polygons from the map they were drawn on.
+  useEffect(() => {
+    if (!isMapReady || !showZones) return
+
+    const map = mapRef.current
+    const handles = zones.flatMap(zone =>
+      zone.polygons.map(rings => map.addPolygon(rings, { color: TIER_COLORS[zone.tier] }))
+    )
+    return () => {
+      if (mapRef.current === map) handles.forEach(handle => handle.remove())
     }
-  }, [])
+  }, [isMapReady, showZones])
+
+  // Keep an open office card in the selected language
+  useEffect(() => {
+    setSelectedOffice(office => office && offices.find(({ id }) => id === office.id))
+  }, [offices])
+
+  // Restore a shared link once the map can geocode and route, and again
+  // whenever the user navigates back or forward
+  useEffect(() => {
+    if (!isMapReady) return
+
+    if (window.location.search) popStateHandlerRef.current()
+    const handlePopState = () => popStateHandlerRef.current()
+    window.addEventListener('popstate', handlePopState)
+    return () => window.removeEventListener('popstate', handlePopState)
+  }, [isMapReady])
+
+  useEffect(() => {
+    if (!isPickingOrigin) return
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setIsPickingOrigin(false)
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [isPickingOrigin])
+
+  const replaceLink = (search) => {
+    window.history.replaceState(null, '', `${window.location.pathname}${search}${window.location.hash}`)
+  }
+
+  // Pushes a history entry when the shareable state actually changes. Links
+  // are compared once parsed, so a shared link written differently (no
+  // mode, unescaped commas) is only rewritten in place.
+  const updateLink = (changes) => {
+    if (isRestoringLinkRef.current) return
+
+    const link = { ...linkRef.current, ...changes }
+    const search = buildDeepLink(link)
+    linkRef.current = link
+    if (search === buildDeepLink(parseDeepLink(window.location.search))) {
+      if (search !== window.location.search) replaceLink(search)
+    } else {
+      window.history.pushState(null, '', `${window.location.pathname}${search}${window.location.hash}`)
+    }
+  }
+
+  // While a route is shown the link's office is the route target
+  const openOffice = (office) => {
+    setSelectedOffice(office)
+    if (!linkRef.current.route) updateLink({ officeId: office.id })
+  }
 
-  const handleSearch = () => {
-    if (!searchQuery.trim()) {
-      setSearchError('Введите адрес для поиска')
+  const closeOffice = () => {
+    setSelectedOffice(null)
+    if (!linkRef.current.route) updateLink({ officeId: null })
+  }
+
+  const officeDialogRef = useDialog(Boolean(selectedOffice), closeOffice)
+
+  // Searching or routing before the map has scrolled into view starts
+  // loading it; until it is ready the error line says why nothing happened
+  const requireMap = () => {
+    if (providerRef.current && mapRef.current) return true
+    setShouldLoadMap(true)
+    setSearchError(mapStatus === 'failed' ? 'map.unavailable' : 'map.notReady')
+    return false
+  }
+
+  // Reuses the location picked from suggestions (or found by the last
+  // search) so search and routing always agree on the same point
+  const resolveSearchLocation = (query = searchQuery) => {
+    if (searchLocation && query === searchQuery) return Promise.resolve(searchLocation)
+
+    return geocodeAddress(providerRef.current, query).then(location => {
+      if (location) setSearchLocation(location)
+      return location
+    })
+  }
+
+  const handleSearch = (pickedLocation, { query = searchQuery } = {}) => {
+    if (!query.trim() && !pickedLocation) {
+      setSearchError('search.error.empty')
       return
     }
 
-    if (ymapsRef.current && mapRef.current) {
+    if (requireMap()) {
       setSearchError('')
       
-      ymapsRef.current.geocode(searchQuery, {
-        results: 1
-      }).then(result => {
-        const firstGeoObject = result.geoObjects.get(0)
-        if (firstGeoObject) {
-          const coords = firstGeoObject.geometry.getCoordinates()
-          const bounds = firstGeoObject.properties.get('boundedBy')
+      const lookup = pickedLocation ? Promise.resolve(pickedLocation) : resolveSearchLocation(query)
+      lookup.then(location => {
+        if (location) {
+          const { coords, bounds } = location
+          updateLink({ query: pickedLocation ? location.address : query })
+          setCoverage({ zone: findDeliveryZone(coords) })
+
+          // Rank offices straight away, then refine the closest ones with real
+          // driving distances. Stale refinements from older searches are dropped.
+          const ranking = rankOffices(coords, offices)
+          const requestId = ++rankingRequestRef.current
+          setOfficeRanking(ranking)
+          refineRanking(providerRef.current, coords, ranking).then(refined => {
+            if (requestId === rankingRequestRef.current) {
+              setOfficeRanking(refined)
+            }
+          })
           
           mapRef.current.setBounds(bounds, {
-            checkZoomRange: true,
             duration: 500
           }).then(() => {
-            // Add temporary marker for searched location
-            const searchMarker = new ymapsRef.current.Placemark(
+            // Replace the previous search marker with the new location
+            layersRef.current.search.setMarkers([{
+              id: 'search',
               coords,
-              {
-                balloonContent: `<strong>${searchQuery}</strong>`
-              },
-              {
-                preset: 'islands#greenCircleDotIcon'
-              }
-            )
-            
-            // Remove previous search markers
-            mapRef.current.geoObjects.each(obj => {
-              if (obj.properties && obj.properties.get('type') === 'search') {
-                mapRef.current.geoObjects.remove(obj)
-              }
-            })
-            
-            searchMarker.properties.set('type', 'search')
-            mapRef.current.geoObjects.add(searchMarker)
+              type: 'search',
+              balloon: { title: pickedLocation ? location.address : query }
+            }])
           })
           
           setSearchError('')
         } else {
-          setSearchError('Адрес не найден. Попробуйте другой запрос.')
+          setSearchError('search.error.notFound')
         }
       }).catch(error => {
         console.error('Geocoding error:', error)
-        setSearchError('Ошибка поиска. Попробуйте снова.')
+        setSearchError('search.error.failed')
       })
     }
   }
 
-  const buildRoute = (office) => {
-    if (!searchQuery.trim()) {
-      setSearchError('Введите адрес отправления для построения маршрута')
+  const buildRoute = (office, { stops: routeStops = stops, mode = routingMode, traffic = useTraffic, query = searchQuery } = {}) => {
+    if (!query.trim()) {
+      setSearchError('route.error.noOrigin')
       return
     }
 
-    if (ymapsRef.current && mapRef.current) {
+    if (requireMap()) {
       setSearchError('')
       
-      ymapsRef.current.geocode(searchQuery).then(result => {
-        const firstGeoObject = result.geoObjects.get(0)
-        if (firstGeoObject) {
-          const startCoords = firstGeoObject.geometry.getCoordinates()
-          
-          const multiRoute = new ymapsRef.current.multiRouter.MultiRoute({
-            referencePoints: [startCoords, office.coords],
-            params: {
-              routingMode: 'auto'
-            }
-          }, {
-            boundsAutoApply: true,
-            wayPointStartIconColor: '#4ade80',
-            wayPointFinishIconColor: '#ef4444',
-            routeActiveStrokeColor: '#ef4444',
-            routeActiveStrokeWidth: 6
-          })
+      resolveSearchLocation(query).then(location => {
+        if (location) {
+          const startCoords = location.coords
+          updateLink({ query, officeId: office.id, route: true, mode })
 
-          mapRef.current.geoObjects.removeAll()
-          mapRef.current.geoObjects.add(multiRoute)
-          
-          offices.forEach(off => {
-            const placemark = new ymapsRef.current.Placemark(
-              off.coords,
-              {
-                hintContent: off.city
-              },
-              {
-                preset: 'islands#redDeliveryIcon',
-                iconColor: '#ef4444'
-              }
-            )
-            mapRef.current.geoObjects.add(placemark)
+          const lastStop = routeStops[routeStops.length - 1]
+
+          setRouteInfo(null)
+          setRouteOffice(office)
+
+          // The route draws its own start marker
+          routeHandleRef.current?.remove()
+          layersRef.current.search.clear()
+          const points = [startCoords, office.coords, ...routeStops.map(stop => stop.location.coords)]
+          // Keep the active route and its alternatives for the route panel
+          routeHandleRef.current = mapRef.current.showRoute(points, {
+            mode,
+            avoidTrafficJams: traffic && supportsTraffic(providerRef.current, mode),
+            onChange: (route) => setRouteInfo({
+              ...route,
+              points,
+              labels: [t('route.origin'), office.city, ...routeStops.map((_, index) => t('route.stop', { index: index + 1 }))],
+              originCountry: office.country,
+              destinationCountry: lastStop ? lastStop.location.countryCode : location.countryCode
+            }),
+            onError: (error) => {
+              console.error('Route error:', error)
+              setSearchError('route.error.mode')
+            }
           })
 
           setRouteMode(true)
         } else {
-          setSearchError('Адрес не найден. Проверьте правильность ввода.')
+          setSearchError('route.error.notFound')
         }
       }).catch(error => {
         console.error('Route error:', error)
-        setSearchError('Ошибка построения маршрута. Попробуйте снова.')
+        setSearchError('route.error.failed')
       })
     }
   }
 
-  const resetMap = () => {
-    if (mapRef.current && ymapsRef.current) {
-      mapRef.current.geoObjects.removeAll()
-      
-      offices.forEach(office => {
-        const placemark = new ymapsRef.current.Placemark(
-          office.coords,
-          {
-            balloonContentHeader: `<strong class="text-lg">${office.city}</strong>`,
-            balloonContentBody: `
-              <div class="p-2">
-                <p class="mb-2"><strong>Адрес:</strong> ${office.address}</p>
-                <p class="mb-2"><strong>Телефон:</strong> ${office.phone}</p>
-                <p class="mb-2"><strong>Email:</strong> ${office.email}</p>
-                <p><strong>Часы работы:</strong> ${office.hours}</p>
-              </div>
-            `,
-            hintContent: office.city
-          },
-          {
-            preset: 'islands#redDeliveryIcon',
-            iconColor: '#ef4444'
-          }
-        )
-
-        placemark.events.add('click', () => {
-          setSelectedOffice(office)
+  const handleStopsChange = (newStops) => {
+    setStops(newStops)
+    if (routeMode && routeOffice) {
+      buildRoute(routeOffice, { stops: newStops })
+    }
+  }
+
+  const handleRoutingModeChange = (mode) => {
+    setRoutingMode(mode)
+    if (routeMode && routeOffice) {
+      buildRoute(routeOffice, { mode })
+    }
+  }
+
+  const handleTrafficChange = (traffic) => {
+    setUseTraffic(traffic)
+    if (routeMode && routeOffice) {
+      buildRoute(routeOffice, { traffic })
+    }
+  }
+
+  // Drop-offs are visited after the office, so optimise from there when
+  // a route exists and from the searched address otherwise
+  const handleOptimizeStops = () => {
+    const start = routeOffice?.coords || searchLocation?.coords
+    if (!start) {
+      setSearchError('route.error.optimizeOrigin')
+      return
+    }
+    handleStopsChange(optimizeStopOrder(start, stops))
+  }
+
+  const applySearchLocation = (location) => {
+    setSearchQuery(location.address)
+    setSearchLocation(location)
+    handleSearch(location)
+  }
+
+  // Fills the search box with a readable address for a point. The clicked
+  // or detected coordinates stay the route origin either way.
+  const setOriginFromCoords = (coords) => {
+    if (!requireMap()) return
+
+    setSearchError('')
+    providerRef.current.reverseGeocode(coords)
+      .catch(error => {
+        console.error('Reverse geocoding error:', error)
+        return null
+      })
+      .then(location => {
+        const [lat, lon] = coords
+        applySearchLocation(location ? { ...location, coords } : {
+          coords,
+          bounds: [[lat - 0.01, lon - 0.01], [lat + 0.01, lon + 0.01]],
+          address: coords.map(value => value.toFixed(5)).join(', ')
         })
+      })
+  }
+
+  const handleUseMyLocation = () => {
+    setIsLocating(true)
+    setSearchError('')
 
-        mapRef.current.geoObjects.add(placemark)
+    getCurrentPosition()
+      .then(setOriginFromCoords)
+      .catch(error => {
+        console.error('Geolocation error:', error)
+        setSearchError(GEOLOCATION_MESSAGES[error.reason] || GEOLOCATION_MESSAGES[GEOLOCATION_ERRORS.unavailable])
       })
+      .finally(() => setIsLocating(false))
+  }
+
+  // A long press always sets the origin; a plain click only in pick mode
+  mapClickHandlerRef.current = (coords, { isLongPress }) => {
+    if (!isLongPress && !isPickingOrigin) return
+    setIsPickingOrigin(false)
+    setOriginFromCoords(coords)
+  }
+
+  const fetchSuggestions = (query, { signal }) => {
+    if (!providerRef.current) {
+      setShouldLoadMap(true)
+      return Promise.resolve([])
+    }
+    if (!providerRef.current.supportsSuggestions) return Promise.resolve([])
+    return providerRef.current.geocode(query, { results: 5, signal })
+  }
+
+  const geocode = (query) => {
+    if (!providerRef.current) {
+      setShouldLoadMap(true)
+      return Promise.reject(new Error('Map provider is not loaded'))
+    }
+    return geocodeAddress(providerRef.current, query)
+  }
+
+  const handleOrderCreated = (order) => {
+    setOrders(prev => [order, ...prev])
+    trackingSource.addOrder(order)
+  }
+
+  const showShipmentOnMap = (shipment) => {
+    const position = getLastPosition(shipment)
+    if (!position || !mapRef.current) return
+
+    // Replace the previous shipment marker
+    layersRef.current.tracking.setMarkers([{
+      id: 'tracking',
+      coords: position.coords,
+      type: 'tracking',
+      balloon: {
+        title: shipment.trackingNumber,
+        lines: [t(`tracking.status.${position.status}`), position.location]
+      },
+      hint: shipment.trackingNumber
+    }])
+    mapRef.current.setCenter(position.coords, 7, { duration: 500 })
+    document.getElementById('map')?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+  }
+
+  const resetMap = () => {
+    if (mapRef.current) {
+      routeHandleRef.current?.remove()
+      routeHandleRef.current = null
+      layersRef.current.search.clear()
 
       mapRef.current.setCenter([50.0, 0.5], 5)
       setRouteMode(false)
+      setRouteInfo(null)
+      setRouteOffice(null)
       setSearchError('')
+      updateLink({ officeId: null, route: false })
+    }
+  }
+
+  // Brings the page to the state described by the URL without pushing
+  // history entries for the intermediate steps
+  popStateHandlerRef.current = () => {
+    const link = parseDeepLink(window.location.search)
+    const office = offices.find(({ id }) => id === link.officeId) || null
+    const mode = providerRef.current.supportedModes.includes(link.mode) ? link.mode : EMPTY_LINK.mode
+
+    isRestoringLinkRef.current = true
+    setRoutingMode(mode)
+    setSearchQuery(link.query)
+    if (link.query !== searchQuery) setSearchLocation(null)
+
+    if (link.route && office && link.query) {
+      setSelectedOffice(null)
+      buildRoute(office, { query: link.query, mode })
+    } else {
+      if (routeMode) resetMap()
+      setSelectedOffice(office)
+      if (link.query) {
+        handleSearch(null, { query: link.query })
+      } else {
+        layersRef.current.search.clear()
+        setOfficeRanking(null)
+        setCoverage(null)
+      }
     }
+    linkRef.current = { ...link, mode }
+    isRestoringLinkRef.current = false
+
+    // The search and route finish later and report the restored state; with
+    // the URL in canonical form already they find nothing to push
+    const search = buildDeepLink(linkRef.current)
+    if (search !== window.location.search) replaceLink(search)
   }
 
+  const selectedOfficeStatus = selectedOffice && getOpenStatus(selectedOffice, now)
+
   return (
-    <div className="min-h-screen bg-gradient-to-br from-red-50 via-orange-50 to-yellow-50">
+    <div className="min-h-screen bg-gradient-to-br from-red-50 via-orange-50 to-yellow-50 print:bg-none">
       {/* HEADER */}
       <header className="fixed top-0 w-full bg-white/95 backdrop-blur-lg z-50 border-b border-red-100 shadow-lg">
         <nav className="container mx-auto px-6 py-4">
@@ -286,18 +789,24 @@ function App() {
             </div>
             
             <div className="hidden md:flex items-center space-x-8">
-              <a href="#services" className="text-gray-700 hover:text-red-600 font-semibold transition-colors">Услуги</a>
-              <a href="#offices" className="text-gray-700 hover:text-red-600 font-semibold transition-colors">Офисы</a>
-              <a href="#contact" className="text-gray-700 hover:text-red-600 font-semibold transition-colors">Контакты</a>
+              <a href="#services" className="text-gray-700 hover:text-red-600 font-semibold transition-colors">{t('nav.services')}</a>
+              <a href="#tracking" className="text-gray-700 hover:text-red-600 font-semibold transition-colors">{t('nav.tracking')}</a>
+              <a href="#pickup" className="text-gray-700 hover:text-red-600 font-semibold transition-colors">{t('nav.pickup')}</a>
+              <a href="#offices" className="text-gray-700 hover:text-red-600 font-semibold transition-colors">{t('nav.offices')}</a>
+              <a href="#contact" className="text-gray-700 hover:text-red-600 font-semibold transition-colors">{t('nav.contact')}</a>
             </div>
 
             <div className="flex items-center gap-4">
-              <button className="hidden md:block bg-gradient-to-r from-red-600 to-orange-600 hover:from-red-700 hover:to-orange-700 text-white px-6 py-3 rounded-xl font-bold transition-all transform hover:scale-105 shadow-lg shadow-red-500/30">
-                Заказать доставку
+              <LanguageSwitcher className="hidden md:flex" />
+              <button
+                onClick={() => setShowOrderWizard(true)}
+                className="hidden md:block bg-gradient-to-r from-red-600 to-orange-600 hover:from-red-700 hover:to-orange-700 text-white px-6 py-3 rounded-xl font-bold transition-all transform hover:scale-105 shadow-lg shadow-red-500/30">
+                {t('nav.order')}
               </button>
               <button 
                 onClick={() => setShowMobileMenu(!showMobileMenu)}
                 className="md:hidden p-2 hover:bg-red-50 rounded-lg transition-colors"
+                aria-label={t('nav.menu')}
               >
                 {showMobileMenu ? <X className="w-6 h-6" /> : <Menu className="w-6 h-6" />}
               </button>
@@ -314,12 +823,21 @@ function App() {
                 className="md:hidden mt-4 pb-4 border-t border-red-100 pt-4"
               >
                 <div className="flex flex-col space-y-3">
-                  <a href="#services" className="text-gray-700 hover:text-red-600 font-semibold transition-colors py-2">Услуги</a>
-                  <a href="#offices" className="text-gray-700 hover:text-red-600 font-semibold transition-colors py-2">Офисы</a>
-                  <a href="#contact" className="text-gray-700 hover:text-red-600 font-semibold transition-colors py-2">Контакты</a>
-                  <button className="bg-gradient-to-r from-red-600 to-orange-600 text-white px-6 py-3 rounded-xl font-bold">
-                    Заказать доставку
+                  <a href="#services" className="text-gray-700 hover:text-red-600 font-semibold transition-colors py-2">{t('nav.services')}</a>
+                  <a href="#tracking" className="text-gray-700 hover:text-red-600 font-semibold transition-colors py-2">{t('nav.tracking')}</a>
+                  <a href="#pickup" className="text-gray-700 hover:text-red-600 font-semibold transition-colors py-2">{t('nav.pickup')}</a>
+                  <a href="#offices" className="text-gray-700 hover:text-red-600 font-semibold transition-colors py-2">{t('nav.offices')}</a>
+                  <a href="#contact" className="text-gray-700 hover:text-red-600 font-semibold transition-colors py-2">{t('nav.contact')}</a>
+                  <button
+                    onClick={() => {
+                      setShowMobileMenu(false)
+                      setShowOrderWizard(true)
+                    }}
+                    className="bg-gradient-to-r from-red-600 to-orange-600 text-white px-6 py-3 rounded-xl font-bold"
+                  >
+                    {t('nav.order')}
                   </button>
+                  <LanguageSwitcher className="flex self-start" />
                 </div>
               </motion.div>
             )}
@@ -337,13 +855,13 @@ function App() {
             className="text-center mb-8"
           >
             <h1 className="text-5xl md:text-7xl font-black text-gray-900 mb-4 tracking-tight">
-              Быстрая доставка
+              {t('hero.title')}
               <span className="block text-transparent bg-clip-text bg-gradient-to-r from-red-600 to-orange-600">
-                по всей Европе
+                {t('hero.titleAccent')}
               </span>
             </h1>
             <p className="text-xl md:text-2xl text-gray-600 mb-6 max-w-3xl mx-auto font-medium">
-              Наши офисы в Париже и Лондоне обеспечивают надежную доставку 24/7
+              {t('hero.subtitle', { cities: formatCityList(offices, tag) })}
             </p>
           </motion.div>
 
@@ -352,36 +870,77 @@ function App() {
             initial={{ opacity: 0, y: 20 }}
             animate={{ opacity: 1, y: 0 }}
             transition={{ duration: 0.6, delay: 0.2 }}
-            className="max-w-3xl mx-auto mb-8"
+            className="relative z-10 max-w-3xl mx-auto mb-8"
           >
             <div className="bg-white rounded-2xl shadow-2xl border border-red-100 p-2">
               <div className="flex gap-2">
-                <div className="flex-1 flex items-center gap-3 bg-gray-50 rounded-xl px-4">
-                  <Search className="w-5 h-5 text-gray-400" />
-                  <input
-                    type="text"
-                    value={searchQuery}
-                    onChange={(e) => setSearchQuery(e.target.value)}
-                    onKeyPress={(e) => e.key === 'Enter' && handleSearch()}
-                    placeholder="Введите адрес для поиска или построения маршрута..."
-                    className="flex-1 bg-transparent py-4 text-gray-900 placeholder-gray-400 focus:outline-none font-medium"
-                  />
-                </div>
+                <AddressAutocomplete
+                  value={searchQuery}
+                  onChange={(value) => {
+                    setSearchQuery(value)
+                    setSearchLocation(null)
+                    setOfficeRanking(null)
+                    setCoverage(null)
+                  }}
+                  onSelect={applySearchLocation}
+                  onSubmit={() => handleSearch()}
+                  fetchSuggestions={fetchSuggestions}
+                  placeholder={t('search.placeholder')}
+                />
                 <button
-                  onClick={handleSearch}
+                  onClick={() => handleSearch()}
                   className="bg-gradient-to-r from-red-600 to-orange-600 hover:from-red-700 hover:to-orange-700 text-white px-8 py-4 rounded-xl font-bold transition-all transform hover:scale-105 shadow-lg shadow-red-500/30 flex items-center gap-2"
                 >
                   <Target className="w-5 h-5" />
-                  Найти
+                  {t('search.submit')}
                 </button>
               </div>
-              {searchError && (
-                <div className="mt-2 px-4 py-2 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2">
-                  <AlertCircle className="w-4 h-4 text-red-600" />
-                  <p className="text-sm text-red-600 font-medium">{searchError}</p>
-                </div>
-              )}
+              <div className="flex flex-wrap items-center gap-2 px-2 pt-2">
+                <button
+                  onClick={handleUseMyLocation}
+                  disabled={isLocating}
+                  className="text-sm text-gray-700 hover:text-red-600 disabled:text-gray-400 font-semibold px-3 py-1 rounded-lg hover:bg-red-50 transition-colors flex items-center gap-2"
+                >
+                  {isLocating ? (
+                    <div className="w-4 h-4 border-2 border-red-200 border-t-red-600 rounded-full animate-spin"></div>
+                  ) : (
+                    <LocateFixed className="w-4 h-4" />
+                  )}
+                  {isLocating ? t('search.locating') : t('search.myLocation')}
+                </button>
+                <button
+                  onClick={() => setIsPickingOrigin(!isPickingOrigin)}
+                  className={`text-sm font-semibold px-3 py-1 rounded-lg transition-colors flex items-center gap-2 ${
+                    isPickingOrigin ? 'bg-red-100 text-red-700' : 'text-gray-700 hover:text-red-600 hover:bg-red-50'
+                  }`}
+                >
+                  <Crosshair className="w-4 h-4" />
+                  {isPickingOrigin ? t('search.picking') : t('search.pickOnMap')}
+                </button>
+                <span className="text-xs text-gray-400 font-medium">{t('search.longPressHint')}</span>
+              </div>
+              {/* Search and route errors, in a live region that stays mounted */}
+              <div role="alert">
+                {searchError && (
+                  <div className="mt-2 px-4 py-2 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2">
+                    <AlertCircle className="w-4 h-4 text-red-600" aria-hidden="true" />
+                    <p className="text-sm text-red-600 font-medium">{t(searchError)}</p>
+                  </div>
+                )}
+              </div>
+              {coverage && <CoverageNotice zone={coverage.zone} offices={offices} />}
             </div>
+
+            {/* Latest order */}
+            {orders.length > 0 && (
+              <div className="mt-4 px-4 py-3 bg-green-50 border border-green-200 rounded-xl flex items-center gap-2">
+                <CheckCircle className="w-5 h-5 text-green-600 flex-shrink-0" />
+                <p className="text-sm text-green-800 font-medium">
+                  {t('hero.latestOrder')} <strong className="font-black">{orders[0].id}</strong>{' '}
+                  {t('hero.latestOrderOffice', { city: offices.find(office => office.id === orders[0].officeId)?.city })}
+                </p>
+              </div>
+            )}
           </motion.div>
 
           {/* Map Container */}
@@ -389,46 +948,130 @@ function App() {
             initial={{ opacity: 0, y: 20 }}
             animate={{ opacity: 1, y: 0 }}
             transition={{ duration: 0.6, delay: 0.4 }}
-            className="relative"
+            className="grid lg:grid-cols-[1fr_20rem] gap-6"
           >
-            <div className="bg-white rounded-3xl shadow-2xl border-4 border-red-100 overflow-hidden">
-              <div id="map" style={{ height: '600px' }} className="w-full"></div>
-            </div>
+            <div className="relative">
+              <div className="relative bg-white rounded-3xl shadow-2xl border-4 border-red-100 overflow-hidden">
+                <div
+                  id="map"
+                  ref={mapContainerRef}
+                  style={{ height: '600px' }}
+                  className={`w-full relative z-0 ${isPickingOrigin ? 'cursor-crosshair' : ''}`}
+                ></div>
 
-            {/* Route Controls */}
-            {searchQuery && (
-              <motion.div
-                initial={{ opacity: 0, x: -20 }}
-                animate={{ opacity: 1, x: 0 }}
-                className="absolute top-4 left-4 bg-white rounded-xl shadow-xl border border-red-100 p-4"
-              >
-                <p className="text-sm font-bold text-gray-700 mb-3">Построить маршрут до:</p>
-                <div className="flex flex-col gap-2">
-                  {offices.map(office => (
+                {/* Map Loading */}
+                {(mapStatus === 'idle' || mapStatus === 'loading') && (
+                  <div className="absolute inset-0 bg-gradient-to-br from-red-50 via-orange-50 to-yellow-50 animate-pulse flex items-center justify-center" role="status">
+                    <div className="flex flex-col items-center gap-3 text-gray-500 font-semibold">
+                      <MapPin className="w-10 h-10 text-red-300" aria-hidden="true" />
+                      {t('map.loading')}
+                    </div>
+                  </div>
+                )}
+
+                {/* Map Fallback */}
+                {mapStatus === 'failed' && (
+                  <MapFallback offices={offices} onRetry={() => setMapAttempt(attempt => attempt + 1)} />
+                )}
+              </div>
+
+              {/* Delivery Zones */}
+              {isMapReady && (
+                <div className="absolute bottom-10 right-4">
+                  <DeliveryZonesControl isVisible={showZones} onToggle={setShowZones} />
+                </div>
+              )}
+
+              {/* Route Controls */}
+              {searchQuery && mapStatus !== 'failed' && (
+                <motion.div
+                  initial={{ opacity: 0, x: -20 }}
+                  animate={{ opacity: 1, x: 0 }}
+                  className="absolute top-4 left-4 bg-white rounded-xl shadow-xl border border-red-100 p-4 max-h-[568px] overflow-y-auto"
+                >
+                  {isMapReady && (
+                    <RoutingOptions
+                      mode={routingMode}
+                      onModeChange={handleRoutingModeChange}
+                      supportedModes={providerRef.current.supportedModes}
+                      useTraffic={useTraffic}
+                      onTrafficChange={handleTrafficChange}
+                      canUseTraffic={supportsTraffic(providerRef.current, routingMode)}
+                    />
+                  )}
+                  <p className="text-sm font-bold text-gray-700 mb-3">{t('route.buildTo')}</p>
+                  {officeRanking ? (
+                    <NearestOffices ranking={officeRanking} onRoute={buildRoute} />
+                  ) : (
+                    <div className="flex flex-col gap-2">
+                      {offices.map(office => (
+                        <button
+                          key={office.id}
+                          onClick={() => buildRoute(office)}
+                          className="bg-gradient-to-r from-red-50 to-orange-50 hover:from-red-100 hover:to-orange-100 text-gray-900 px-4 py-2 rounded-lg font-semibold transition-all text-left flex items-center gap-2"
+                        >
+                          <MapPin className="w-4 h-4 text-red-600" />
+                          {office.city}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  <WaypointList
+                    stops={stops}
+                    onChange={handleStopsChange}
+                    onOptimize={handleOptimizeStops}
+                    geocode={geocode}
+                  />
+                  {routeMode && routeInfo && (
+                    <RouteAlternatives
+                      routes={routeInfo.routes}
+                      activeIndex={routeInfo.activeIndex}
+                      mode={routingMode}
+                      onSelect={(index) => routeHandleRef.current?.setActiveRoute(index)}
+                    />
+                  )}
+                  {routeMode && routeInfo && <RouteSummary route={routeInfo} />}
+                  {routeMode && routeInfo && <DirectionsPanel route={routeInfo} name={t('directions.routeName', { city: routeOffice.city })} />}
+                  {routeMode && routeInfo && <QuotePanel route={routeInfo} />}
+                  {routeMode && (
                     <button
-                      key={office.id}
-                      onClick={() => buildRoute(office)}
-                      className="bg-gradient-to-r from-red-50 to-orange-50 hover:from-red-100 hover:to-orange-100 text-gray-900 px-4 py-2 rounded-lg font-semibold transition-all text-left flex items-center gap-2"
+                      onClick={resetMap}
+                      className="mt-3 w-full bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg font-semibold transition-all"
                     >
-                      <MapPin className="w-4 h-4 text-red-600" />
-                      {office.city}
+                      {t('route.reset')}
                     </button>
-                  ))}
-                </div>
-                {routeMode && (
-                  <button
-                    onClick={resetMap}
-                    className="mt-3 w-full bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg font-semibold transition-all"
-                  >
-                    Сбросить маршрут
-                  </button>
-                )}
-              </motion.div>
-            )}
+                  )}
+                </motion.div>
+              )}
+            </div>
+
+            {/* Office List: remounted per language, as the city filter holds localised names */}
+            <OfficeList
+              key={locale}
+              offices={offices}
+              bounds={mapBounds}
+              now={now}
+              onHighlight={(id) => layersRef.current.offices?.highlight(id)}
+              onSelect={openOffice}
+              onShowAll={() => mapRef.current?.setBounds(getOfficesBounds(offices), { duration: 500 })}
+            />
           </motion.div>
         </div>
       </section>
 
+      {/* Offices */}
+      <section id="offices" className="py-20 px-6 bg-gradient-to-br from-red-50 via-orange-50 to-yellow-50">
+        <div className="container mx-auto max-w-5xl">
+          <h2 className="text-5xl md:text-6xl font-black text-gray-900 text-center mb-4">
+            {t('offices.title')}
+          </h2>
+          <p className="text-xl text-gray-600 text-center mb-12 max-w-2xl mx-auto">
+            {t('offices.subtitle')}
+          </p>
+          <OfficeDirectory offices={offices} now={now} onSelect={openOffice} />
+        </div>
+      </section>
+
       {/* Office Info Modal */}
       <AnimatePresence>
         {selectedOffice && (
@@ -437,20 +1080,26 @@ function App() {
             animate={{ opacity: 1 }}
             exit={{ opacity: 0 }}
             className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-6"
-            onClick={() => setSelectedOffice(null)}
+            onClick={closeOffice}
           >
             <motion.div
+              ref={officeDialogRef}
+              role="dialog"
+              aria-modal="true"
+              aria-labelledby="office-dialog-title"
+              tabIndex={-1}
               initial={{ scale: 0.9, opacity: 0 }}
               animate={{ scale: 1, opacity: 1 }}
               exit={{ scale: 0.9, opacity: 0 }}
               onClick={(e) => e.stopPropagation()}
-              className="bg-white rounded-2xl shadow-2xl max-w-md w-full p-8 border-4 border-red-100"
+              className="bg-white rounded-2xl shadow-2xl max-w-md w-full p-8 border-4 border-red-100 focus:outline-none"
             >
               <div className="flex items-center justify-between mb-6">
-                <h3 className="text-3xl font-black text-gray-900">{selectedOffice.city}</h3>
+                <h3 id="office-dialog-title" className="text-3xl font-black text-gray-900">{selectedOffice.city}</h3>
                 <button
-                  onClick={() => setSelectedOffice(null)}
+                  onClick={closeOffice}
                   className="p-2 hover:bg-red-50 rounded-lg transition-colors"
+                  aria-label={t('common.close')}
                 >
                   <X className="w-6 h-6 text-gray-600" />
                 </button>
@@ -460,7 +1109,7 @@ function App() {
                 <div className="flex items-start gap-3 p-4 bg-gradient-to-r from-red-50 to-orange-50 rounded-xl">
                   <MapPin className="w-5 h-5 text-red-600 mt-1 flex-shrink-0" />
                   <div>
-                    <p className="font-bold text-gray-900 mb-1">Адрес</p>
+                    <p className="font-bold text-gray-900 mb-1">{t('office.address')}</p>
                     <p className="text-gray-700">{selectedOffice.address}</p>
                   </div>
                 </div>
@@ -468,15 +1117,15 @@ function App() {
                 <div className="flex items-start gap-3 p-4 bg-gradient-to-r from-red-50 to-orange-50 rounded-xl">
                   <Phone className="w-5 h-5 text-red-600 mt-1 flex-shrink-0" />
                   <div>
-                    <p className="font-bold text-gray-900 mb-1">Телефон</p>
-                    <p className="text-gray-700">{selectedOffice.phone}</p>
+                    <p className="font-bold text-gray-900 mb-1">{t('office.phone')}</p>
+                    <p className="text-gray-700">{formatPhone(selectedOffice.phone, selectedOffice.country, tag)}</p>
                   </div>
                 </div>
 
                 <div className="flex items-start gap-3 p-4 bg-gradient-to-r from-red-50 to-orange-50 rounded-xl">
                   <Mail className="w-5 h-5 text-red-600 mt-1 flex-shrink-0" />
                   <div>
-                    <p className="font-bold text-gray-900 mb-1">Email</p>
+                    <p className="font-bold text-gray-900 mb-1">{t('office.email')}</p>
                     <p className="text-gray-700">{selectedOffice.email}</p>
                   </div>
                 </div>
@@ -484,8 +1133,11 @@ function App() {
                 <div className="flex items-start gap-3 p-4 bg-gradient-to-r from-red-50 to-orange-50 rounded-xl">
                   <Clock className="w-5 h-5 text-red-600 mt-1 flex-shrink-0" />
                   <div>
-                    <p className="font-bold text-gray-900 mb-1">Часы работы</p>
-                    <p className="text-gray-700">{selectedOffice.hours}</p>
+                    <p className="font-bold text-gray-900 mb-1">{t('office.hours')}</p>
+                    <p className={`font-semibold mb-1 ${STATUS_TEXT_CLASSES[getStatusTone(selectedOfficeStatus)]}`}>
+                      {formatOpenStatus(selectedOfficeStatus, t)}
+                    </p>
+                    <p className="text-gray-700">{formatHours(selectedOffice.hours, tag)}</p>
                   </div>
                 </div>
               </div>
@@ -495,21 +1147,77 @@ function App() {
                 className="mt-6 w-full bg-gradient-to-r from-red-600 to-orange-600 hover:from-red-700 hover:to-orange-700 text-white px-6 py-4 rounded-xl font-bold transition-all transform hover:scale-105 shadow-lg shadow-red-500/30 flex items-center justify-center gap-2"
               >
                 <Target className="w-5 h-5" />
-                Построить маршрут
+                {t('office.buildRoute')}
               </button>
             </motion.div>
           </motion.div>
         )}
       </AnimatePresence>
 
+      {/* Order Wizard */}
+      <AnimatePresence>
+        {showOrderWizard && (
+          <OrderWizard
+            offices={offices}
+            geocode={geocode}
+            onClose={() => setShowOrderWizard(false)}
+            onOrderCreated={handleOrderCreated}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Tracking */}
+      <section id="tracking" className="py-20 px-6">
+        <div className="container mx-auto max-w-4xl">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            whileInView={{ opacity: 1, y: 0 }}
+            viewport={{ once: true }}
+            transition={{ duration: 0.6 }}
+            className="text-center mb-12"
+          >
+            <h2 className="text-5xl md:text-6xl font-black text-gray-900 mb-4">
+              {t('tracking.title')}
+            </h2>
+            <p className="text-xl text-gray-600 max-w-2xl mx-auto">
+              {t('tracking.subtitle')}
+            </p>
+          </motion.div>
+
+          <TrackingPanel source={trackingSource} onShipmentFound={showShipmentOnMap} />
+        </div>
+      </section>
+
+      {/* Pickup */}
+      <section id="pickup" className="py-20 px-6 bg-gradient-to-br from-red-50 via-orange-50 to-yellow-50">
+        <div className="container mx-auto max-w-4xl">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            whileInView={{ opacity: 1, y: 0 }}
+            viewport={{ once: true }}
+            transition={{ duration: 0.6 }}
+            className="text-center mb-12"
+          >
+            <h2 className="text-5xl md:text-6xl font-black text-gray-900 mb-4">
+              {t('pickup.title')}
+            </h2>
+            <p className="text-xl text-gray-600 max-w-2xl mx-auto">
+              {t('pickup.subtitle')}
+            </p>
+          </motion.div>
+
+          <PickupScheduler offices={offices} geocode={geocode} source={pickupSource} now={now} />
+        </div>
+      </section>
+
       {/* Features */}
       <section id="services" className="py-20 px-6 bg-white">
         <div className="container mx-auto">
           <h2 className="text-5xl md:text-6xl font-black text-gray-900 text-center mb-4">
-            Почему выбирают нас?
+            {t('features.title')}
           </h2>
           <p className="text-xl text-gray-600 text-center mb-16 max-w-2xl mx-auto">
-            Надежность, скорость и качество в каждой доставке
+            {t('features.subtitle')}
           </p>
 
           <div className="grid md:grid-cols-3 gap-8">
@@ -523,9 +1231,9 @@ function App() {
               <div className="bg-gradient-to-br from-red-500 to-orange-500 w-16 h-16 rounded-2xl flex items-center justify-center mb-6 shadow-lg shadow-red-500/30">
                 <Zap className="w-8 h-8 text-white" />
               </div>
-              <h3 className="text-2xl font-black text-gray-900 mb-4">Молниеносная доставка</h3>
+              <h3 className="text-2xl font-black text-gray-900 mb-4">{t('features.speed.title')}</h3>
               <p className="text-gray-700 leading-relaxed font-medium">
-                Экспресс-доставка в любую точку Европы за 24-48 часов с гарантией сохранности груза
+                {t('features.speed.text')}
               </p>
             </motion.div>
 
@@ -539,9 +1247,9 @@ function App() {
               <div className="bg-gradient-to-br from-red-500 to-orange-500 w-16 h-16 rounded-2xl flex items-center justify-center mb-6 shadow-lg shadow-red-500/30">
                 <Shield className="w-8 h-8 text-white" />
               </div>
-              <h3 className="text-2xl font-black text-gray-900 mb-4">100% безопасность</h3>
+              <h3 className="text-2xl font-black text-gray-900 mb-4">{t('features.safety.title')}</h3>
               <p className="text-gray-700 leading-relaxed font-medium">
-                Полное страхование грузов и отслеживание в реальном времени на каждом этапе
+                {t('features.safety.text')}
               </p>
             </motion.div>
 
@@ -555,9 +1263,9 @@ function App() {
               <div className="bg-gradient-to-br from-red-500 to-orange-500 w-16 h-16 rounded-2xl flex items-center justify-center mb-6 shadow-lg shadow-red-500/30">
                 <Globe className="w-8 h-8 text-white" />
               </div>
-              <h3 className="text-2xl font-black text-gray-900 mb-4">Европейская сеть</h3>
+              <h3 className="text-2xl font-black text-gray-900 mb-4">{t('features.network.title')}</h3>
               <p className="text-gray-700 leading-relaxed font-medium">
-                Офисы в ключевых городах Европы обеспечивают быструю обработку заказов
+                {t('features.network.text')}
               </p>
             </motion.div>
           </div>
@@ -575,14 +1283,14 @@ function App() {
             className="text-center mb-12"
           >
             <h2 className="text-5xl md:text-6xl font-black text-gray-900 mb-4">
-              Свяжитесь с нами
+              {t('contact.title')}
             </h2>
             <p className="text-xl text-gray-600 max-w-2xl mx-auto">
-              Есть вопросы? Оставьте заявку и мы свяжемся с вами в ближайшее время
+              {t('contact.subtitle')}
             </p>
           </motion.div>
 
-          <ContactForm />
+          <ContactForm offices={offices} />
         </div>
       </section>
 
@@ -596,14 +1304,16 @@ function App() {
             transition={{ duration: 0.6 }}
           >
             <h2 className="text-5xl md:text-6xl font-black text-white mb-6">
-              Готовы начать?
+              {t('cta.title')}
             </h2>
             <p className="text-xl md:text-2xl text-red-100 mb-10 max-w-2xl mx-auto font-medium">
-              Закажите доставку прямо сейчас и получите скидку 15% на первый заказ!
+              {t('cta.text')}
             </p>
-            <button className="bg-white hover:bg-gray-100 text-red-600 px-12 py-5 rounded-2xl text-xl font-black transition-all transform hover:scale-105 shadow-2xl flex items-center gap-3 mx-auto">
+            <button
+              onClick={() => setShowOrderWizard(true)}
+              className="bg-white hover:bg-gray-100 text-red-600 px-12 py-5 rounded-2xl text-xl font-black transition-all transform hover:scale-105 shadow-2xl flex items-center gap-3 mx-auto">
               <Truck className="w-6 h-6" />
-              Заказать доставку
+              {t('nav.order')}
               <ChevronRight className="w-6 h-6" />
             </button>
           </motion.div>
@@ -622,52 +1332,74 @@ function App() {
                 <span className="text-xl font-black text-white">Express Delivery</span>
               </div>
               <p className="text-gray-400 font-medium">
-                Надежная служба доставки по всей Европе с офисами в Париже и Лондоне
+                {t('footer.about', { cities: formatCityList(offices, tag) })}
               </p>
             </div>
 
-            <div>
-              <h4 className="text-white font-black text-lg mb-4">Париж</h4>
-              <div className="space-y-2 text-gray-400 font-medium">
-                <p className="flex items-center gap-2">
-                  <MapPin className="w-4 h-4 text-red-500" />
-                  Champs-Élysées, 75008
-                </p>
-                <p className="flex items-center gap-2">
-                  <Phone className="w-4 h-4 text-red-500" />
-                  +33 1 23 45 67 89
-                </p>
-              </div>
-            </div>
-
-            <div>
-              <h4 className="text-white font-black text-lg mb-4">Лондон</h4>
-              <div className="space-y-2 text-gray-400 font-medium">
-                <p className="flex items-center gap-2">
-                  <MapPin className="w-4 h-4 text-red-500" />
-                  Oxford Street, W1D 1BS
-                </p>
-                <p className="flex items-center gap-2">
-                  <Phone className="w-4 h-4 text-red-500" />
-                  +44 20 7123 4567
-                </p>
+            {offices.map(office => (
+              <div key={office.id}>
+                <h4 className="text-white font-black text-lg mb-4">{office.city}</h4>
+                <div className="space-y-2 text-gray-400 font-medium">
+                  <p className="flex items-center gap-2">
+                    <MapPin className="w-4 h-4 text-red-500" />
+                    {office.shortAddress}
+                  </p>
+                  <p className="flex items-center gap-2">
+                    <Phone className="w-4 h-4 text-red-500" />
+                    {formatPhone(office.phone, office.country, tag)}
+                  </p>
+                </div>
               </div>
-            </div>
+            ))}
           </div>
 
           <div className="border-t border-gray-800 pt-8 text-center text-gray-500 font-medium">
-            © 2024 Express Delivery. Все права защищены.
+            {t('footer.copyright')}
           </div>
         </div>
       </footer>
+
+      {/* PRINT VIEW */}
+      {routeMode && routeInfo && (
+        <RoutePrintView route={routeInfo} name={t('directions.routeName', { city: routeOffice.city })} provider={providerRef.current} />
+      )}
     </div>
   )
 }
 
+const CONTACT_FIELDS = ['name', 'email', 'topic', 'office', 'phone', 'message', 'attachments'];
+
+// Inline error for one field, tied to its input via aria-describedby
+const FieldError = ({ name, message }) => message ? (
+  <p id={`contact-${name}-error`} className="mt-2 text-sm text-red-600 font-semibold">{message}</p>
+) : null;
+
+// Banner colours for messages waiting in or replayed from the offline queue
+const QUEUE_STATUS_CLASSES = {
+  queued: 'bg-yellow-50 border-yellow-200 text-yellow-800',
+  sent: 'bg-green-50 border-green-200 text-green-800',
+  dropped: 'bg-red-50 border-red-200 text-red-700'
+};
+
 // Contact Form Component
-const ContactForm = () => {
-  const { isSubmitting, isSuccess, isError, errorMessage, handleSubmit, resetForm } = useFormHandler();
-  const ACCESS_KEY = 'YOUR_WEB3FORMS_ACCESS_KEY'; // Replace with your Web3Forms Access Key from https://web3forms.com
+const ContactForm = ({ offices }) => {
+  const { t, tag } = useI18n();
+  const validate = (fields) => validateContactFields(fields, { country: getRegion(tag) });
+  const route = (fields) => createEnvelope(fields, offices, t);
+  const { isSubmitting, isSuccess, isError, errorMessage, fieldErrors, validationErrors, queueStatus, handleSubmit, handleBlur, handleInput, resetForm } = useFormHandler({ validate, route });
+  const otherErrors = Object.entries(fieldErrors).filter(([name]) => !CONTACT_FIELDS.includes(name));
+
+  // Our own checks come first; server messages are shown as they are
+  const getFieldError = (name) =>
+    validationErrors[name] ? t(validationErrors[name], CONTACT_LIMITS[name]) : fieldErrors[name];
+
+  const fieldProps = (name) => ({
+    id: `contact-${name}`,
+    name,
+    maxLength: CONTACT_LIMITS[name]?.max,
+    'aria-invalid': Boolean(getFieldError(name)),
+    'aria-describedby': getFieldError(name) ? `contact-${name}-error` : undefined
+  });
 
   return (
     <motion.div
@@ -677,6 +1409,16 @@ const ContactForm = () => {
       transition={{ duration: 0.6 }}
       className="bg-white rounded-3xl shadow-2xl border-4 border-red-100 p-8 md:p-12"
     >
+      {/* OFFLINE QUEUE */}
+      <div role="status">
+        {queueStatus && (
+          <div className={`mb-6 px-4 py-3 rounded-xl border-2 flex items-center gap-3 ${QUEUE_STATUS_CLASSES[queueStatus.type]}`}>
+            {queueStatus.type === 'sent' ? <CheckCircle className="w-5 h-5 flex-shrink-0" /> : <Clock className="w-5 h-5 flex-shrink-0" />}
+            <p className="font-semibold">{t(`contact.queue.${queueStatus.type}`, { count: queueStatus.count })}</p>
+          </div>
+        )}
+      </div>
+
       <AnimatePresence mode="wait">
         {!isSuccess ? (
           <motion.form
@@ -685,66 +1427,139 @@ const ContactForm = () => {
             animate={{ opacity: 1, y: 0 }}
             exit={{ opacity: 0, y: -20 }}
             transition={{ duration: 0.3 }}
-            onSubmit={(e) => handleSubmit(e, ACCESS_KEY)}
+            onSubmit={handleSubmit}
+            onBlur={handleBlur}
+            onInput={handleInput}
+            noValidate
             className="space-y-6"
           >
+            {/* HONEYPOT */}
+            <div aria-hidden="true" className="absolute -left-[9999px]">
+              <input type="text" name={HONEYPOT_FIELD} tabIndex="-1" autoComplete="off" />
+            </div>
+
             <div className="grid md:grid-cols-2 gap-6">
               <div>
-                <label className="block text-sm font-bold text-gray-700 mb-2">
-                  Ваше имя
+                <label htmlFor="contact-name" className="block text-sm font-bold text-gray-700 mb-2">
+                  {t('contact.field.name')}
                 </label>
                 <input
                   type="text"
-                  name="name"
-                  placeholder="Иван Иванов"
+                  {...fieldProps('name')}
+                  placeholder={t('contact.placeholder.name')}
                   required
-                  className="w-full px-4 py-3 bg-gradient-to-r from-red-50 to-orange-50 border-2 border-red-100 rounded-xl text-gray-900 placeholder-gray-500 focus:outline-none focus:border-red-500 transition-colors font-medium"
+                  className="w-full px-4 py-3 bg-gradient-to-r from-red-50 to-orange-50 border-2 border-red-100 aria-[invalid=true]:border-red-500 rounded-xl text-gray-900 placeholder-gray-500 focus:outline-none focus:border-red-500 transition-colors font-medium"
                 />
+                <FieldError name="name" message={getFieldError('name')} />
               </div>
 
               <div>
-                <label className="block text-sm font-bold text-gray-700 mb-2">
-                  Email
+                <label htmlFor="contact-email" className="block text-sm font-bold text-gray-700 mb-2">
+                  {t('contact.field.email')}
                 </label>
                 <input
                   type="email"
-                  name="email"
-                  placeholder="ivan@example.com"
+                  {...fieldProps('email')}
+                  placeholder={t('contact.placeholder.email')}
                   required
-                  className="w-full px-4 py-3 bg-gradient-to-r from-red-50 to-orange-50 border-2 border-red-100 rounded-xl text-gray-900 placeholder-gray-500 focus:outline-none focus:border-red-500 transition-colors font-medium"
+                  className="w-full px-4 py-3 bg-gradient-to-r from-red-50 to-orange-50 border-2 border-red-100 aria-[invalid=true]:border-red-500 rounded-xl text-gray-900 placeholder-gray-500 focus:outline-none focus:border-red-500 transition-colors font-medium"
                 />
+                <FieldError name="email" message={getFieldError('email')} />
+              </div>
+            </div>
+
+            <div className="grid md:grid-cols-2 gap-6">
+              <div>
+                <label htmlFor="contact-topic" className="block text-sm font-bold text-gray-700 mb-2">
+                  {t('contact.field.topic')}
+                </label>
+                <select
+                  {...fieldProps('topic')}
+                  defaultValue=""
+                  required
+                  className="w-full px-4 py-3 bg-gradient-to-r from-red-50 to-orange-50 border-2 border-red-100 aria-[invalid=true]:border-red-500 rounded-xl text-gray-900 placeholder-gray-500 focus:outline-none focus:border-red-500 transition-colors font-medium"
+                >
+                  <option value="" disabled>{t('contact.placeholder.topic')}</option>
+                  {CONTACT_TOPICS.map(topic => (
+                    <option key={topic} value={topic}>{t(`contact.topic.${topic}`)}</option>
+                  ))}
+                </select>
+                <FieldError name="topic" message={getFieldError('topic')} />
+              </div>
+
+              <div>
+                <label htmlFor="contact-office" className="block text-sm font-bold text-gray-700 mb-2">
+                  {t('contact.field.office')}
+                </label>
+                <select
+                  {...fieldProps('office')}
+                  defaultValue=""
+                  className="w-full px-4 py-3 bg-gradient-to-r from-red-50 to-orange-50 border-2 border-red-100 aria-[invalid=true]:border-red-500 rounded-xl text-gray-900 placeholder-gray-500 focus:outline-none focus:border-red-500 transition-colors font-medium"
+                >
+                  <option value="">{t('contact.placeholder.office')}</option>
+                  {offices.map(office => (
+                    <option key={office.id} value={office.id}>{office.city}</option>
+                  ))}
+                </select>
+                <FieldError name="office" message={getFieldError('office')} />
               </div>
             </div>
 
             <div>
-              <label className="block text-sm font-bold text-gray-700 mb-2">
-                Телефон
+              <label htmlFor="contact-phone" className="block text-sm font-bold text-gray-700 mb-2">
+                {t('contact.field.phone')}
               </label>
               <input
                 type="tel"
-                name="phone"
-                placeholder="+7 (999) 123-45-67"
-                className="w-full px-4 py-3 bg-gradient-to-r from-red-50 to-orange-50 border-2 border-red-100 rounded-xl text-gray-900 placeholder-gray-500 focus:outline-none focus:border-red-500 transition-colors font-medium"
+                {...fieldProps('phone')}
+                autoComplete="tel"
+                placeholder={t('contact.placeholder.phone')}
+                className="w-full px-4 py-3 bg-gradient-to-r from-red-50 to-orange-50 border-2 border-red-100 aria-[invalid=true]:border-red-500 rounded-xl text-gray-900 placeholder-gray-500 focus:outline-none focus:border-red-500 transition-colors font-medium"
               />
+              <FieldError name="phone" message={getFieldError('phone')} />
             </div>
 
             <div>
-              <label className="block text-sm font-bold text-gray-700 mb-2">
-                Сообщение
+              <label htmlFor="contact-message" className="block text-sm font-bold text-gray-700 mb-2">
+                {t('contact.field.message')}
               </label>
               <textarea
-                name="message"
-                placeholder="Расскажите о вашем запросе..."
+                {...fieldProps('message')}
+                placeholder={t('contact.placeholder.message')}
                 rows="5"
                 required
-                className="w-full px-4 py-3 bg-gradient-to-r from-red-50 to-orange-50 border-2 border-red-100 rounded-xl text-gray-900 placeholder-gray-500 focus:outline-none focus:border-red-500 transition-colors resize-none font-medium"
+                className="w-full px-4 py-3 bg-gradient-to-r from-red-50 to-orange-50 border-2 border-red-100 aria-[invalid=true]:border-red-500 rounded-xl text-gray-900 placeholder-gray-500 focus:outline-none focus:border-red-500 transition-colors resize-none font-medium"
               ></textarea>
+              <FieldError name="message" message={getFieldError('message')} />
+            </div>
+
+            <div>
+              <label htmlFor="contact-attachments" className="block text-sm font-bold text-gray-700 mb-2">
+                {t('contact.field.attachments')}
+              </label>
+              <input
+                type="file"
+                {...fieldProps('attachments')}
+                aria-describedby={getFieldError('attachments') ? 'contact-attachments-hint contact-attachments-error' : 'contact-attachments-hint'}
+                multiple
+                accept={ATTACHMENT_TYPES.join(',')}
+                className="w-full text-sm text-gray-700 font-medium file:mr-4 file:px-4 file:py-2 file:rounded-xl file:border-0 file:bg-red-50 file:text-red-600 file:font-bold hover:file:bg-red-100 file:cursor-pointer"
+              />
+              <p id="contact-attachments-hint" className="mt-2 text-sm text-gray-500">
+                {t('contact.attachmentsHint', CONTACT_LIMITS.attachments)}
+              </p>
+              <FieldError name="attachments" message={getFieldError('attachments')} />
             </div>
 
             {isError && (
-              <div className="flex items-center gap-2 p-4 bg-red-50 border-2 border-red-200 rounded-xl">
-                <AlertCircle className="w-5 h-5 text-red-600" />
-                <p className="text-red-600 font-semibold">{errorMessage}</p>
+              <div className="flex items-start gap-2 p-4 bg-red-50 border-2 border-red-200 rounded-xl">
+                <AlertCircle className="w-5 h-5 text-red-600 flex-shrink-0" />
+                <div className="text-red-600 font-semibold">
+                  <p>{errorMessage}</p>
+                  {otherErrors.map(([name, message]) => (
+                    <p key={name} className="text-sm">{message}</p>
+                  ))}
+                </div>
               </div>
             )}
 
@@ -756,12 +1571,12 @@ const ContactForm = () => {
               {isSubmitting ? (
                 <>
                   <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
-                  Отправка...
+                  {t('contact.sending')}
                 </>
               ) : (
                 <>
                   <Send className="w-5 h-5" />
-                  Отправить сообщение
+                  {t('contact.submit')}
                 </>
               )}
             </button>
@@ -779,16 +1594,16 @@ const ContactForm = () => {
               <CheckCircle className="w-10 h-10 text-green-600" />
             </div>
             <h3 className="text-3xl font-black text-gray-900 mb-4">
-              Сообщение отправлено!
+              {t('contact.success.title')}
             </h3>
             <p className="text-gray-600 mb-8 max-w-md mx-auto font-medium">
-              Спасибо за обращение. Мы свяжемся с вами в ближайшее время.
+              {t('contact.success.text')}
             </p>
             <button
               onClick={resetForm}
               className="text-red-600 hover:text-red-700 font-bold transition-colors"
             >
-              Отправить еще одно сообщение
+              {t('contact.success.again')}
             </button>
           </motion.div>
         )}
@@ -0,0 +1,154 @@
+import { useState, useEffect, useRef } from 'react'
+import { Search, MapPin } from 'lucide-react'
+
+const DEBOUNCE_MS = 300
+const MIN_QUERY_LENGTH = 3
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Wraps every occurrence of the typed words in <mark>
+const highlightMatches = (text, query) => {
+  const words = query.trim().split(/\s+/).filter(Boolean).map(escapeRegExp)
+  if (!words.length) return text
+
+  const pattern = new RegExp(`(${words.join('|')})`, 'gi')
+  return text.split(pattern).map((part, index) =>
+    index % 2 === 1
+      ? <mark key={index} className="bg-transparent text-red-600 font-bold">{part}</mark>
+      : part
+  )
+}
+
+// Search input with a debounced dropdown of geocoder candidates.
+// Only the latest request may update the list; older ones are aborted.
+// Text set from outside (geolocation, a map click, a shared link) arrives
+// while the input is not focused and looks nothing up.
+const AddressAutocomplete = ({ value, onChange, onSelect, onSubmit, fetchSuggestions, placeholder }) => {
+  const [suggestions, setSuggestions] = useState([])
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const [isOpen, setIsOpen] = useState(false)
+  const requestRef = useRef({ id: 0, controller: null })
+  const skipFetchRef = useRef(false)
+  const inputRef = useRef(null)
+
+  useEffect(() => {
+    if (skipFetchRef.current) {
+      skipFetchRef.current = false
+      return
+    }
+
+    const query = value.trim()
+    if (query.length < MIN_QUERY_LENGTH || document.activeElement !== inputRef.current) {
+      // Nothing still in flight may bring back suggestions for older text
+      requestRef.current.controller?.abort()
+      ++requestRef.current.id
+      setSuggestions([])
+      return
+    }
+
+    const timer = setTimeout(() => {
+      requestRef.current.controller?.abort()
+      const controller = new AbortController()
+      const id = ++requestRef.current.id
+      requestRef.current.controller = controller
+
+      fetchSuggestions(query, { signal: controller.signal }).then(results => {
+        if (id !== requestRef.current.id) return
+        setSuggestions(results)
+        setActiveIndex(-1)
+        setIsOpen(document.activeElement === inputRef.current)
+      }).catch(error => {
+        if (error.name !== 'AbortError' && id === requestRef.current.id) {
+          console.error('Suggestion error:', error)
+          setSuggestions([])
+        }
+      })
+    }, DEBOUNCE_MS)
+
+    return () => clearTimeout(timer)
+  }, [value])
+
+  useEffect(() => () => requestRef.current.controller?.abort(), [])
+
+  const select = (location) => {
+    // Invalidate any request still in flight for the old text
+    requestRef.current.id++
+    requestRef.current.controller?.abort()
+    skipFetchRef.current = location.address !== value
+    setIsOpen(false)
+    setSuggestions([])
+    onSelect(location)
+  }
+
+  const handleKeyDown = (e) => {
+    const hasSuggestions = isOpen && suggestions.length > 0
+
+    if (e.key === 'ArrowDown' && hasSuggestions) {
+      e.preventDefault()
+      setActiveIndex((activeIndex + 1) % suggestions.length)
+    } else if (e.key === 'ArrowUp' && hasSuggestions) {
+      e.preventDefault()
+      setActiveIndex((activeIndex - 1 + suggestions.length) % suggestions.length)
+    } else if (e.key === 'Escape') {
+      setIsOpen(false)
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      if (hasSuggestions && activeIndex >= 0) {
+        select(suggestions[activeIndex])
+      } else {
+        setIsOpen(false)
+        onSubmit()
+      }
+    }
+  }
+
+  return (
+    <div className="relative flex-1 flex items-center gap-3 bg-gray-50 rounded-xl px-4">
+      <Search className="w-5 h-5 text-gray-400" />
+      <input
+        ref={inputRef}
+        type="text"
+        role="combobox"
+        aria-expanded={isOpen && suggestions.length > 0}
+        aria-controls="address-suggestions"
+        aria-autocomplete="list"
+        aria-activedescendant={activeIndex >= 0 ? `address-suggestion-${activeIndex}` : undefined}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onFocus={() => suggestions.length && setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        placeholder={placeholder}
+        className="flex-1 bg-transparent py-4 text-gray-900 placeholder-gray-400 focus:outline-none font-medium"
+      />
+
+      {isOpen && suggestions.length > 0 && (
+        <ul
+          id="address-suggestions"
+          role="listbox"
+          className="absolute left-0 right-0 top-full mt-2 bg-white rounded-xl shadow-2xl border border-red-100 py-2 z-20 text-left"
+        >
+          {suggestions.map((location, index) => (
+            <li
+              key={`${location.address}-${index}`}
+              id={`address-suggestion-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => select(location)}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={`px-4 py-2 cursor-pointer flex items-center gap-2 text-gray-700 font-medium ${
+                index === activeIndex ? 'bg-gradient-to-r from-red-50 to-orange-50' : ''
+              }`}
+            >
+              <MapPin className="w-4 h-4 text-red-600 flex-shrink-0" />
+              <span>{highlightMatches(location.address, value)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default AddressAutocomplete
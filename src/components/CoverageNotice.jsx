@@ -0,0 +1,31 @@
+import { CheckCircle, CircleSlash } from 'lucide-react'
+import { formatDeliveryTime } from '../lib/quote'
+import { useI18n } from '../hooks/useI18n'
+
+// Result of the "is my address served?" check for the searched address.
+// `zone` is null when the address is outside every delivery zone.
+const CoverageNotice = ({ zone, offices }) => {
+  const { t } = useI18n()
+
+  if (!zone) {
+    return (
+      <div className="mt-2 px-4 py-2 bg-gray-50 border border-gray-200 rounded-lg flex items-center gap-2">
+        <CircleSlash className="w-4 h-4 text-gray-500 flex-shrink-0" />
+        <p className="text-sm text-gray-600 font-medium">{t('zones.outside')}</p>
+      </div>
+    )
+  }
+
+  const office = offices.find(({ id }) => id === zone.officeId)
+  return (
+    <div className="mt-2 px-4 py-2 bg-green-50 border border-green-200 rounded-lg flex items-center gap-2">
+      <CheckCircle className="w-4 h-4 text-green-600 flex-shrink-0" />
+      <p className="text-sm text-green-800 font-medium">
+        <strong className="font-bold">{t('zones.served', { city: office.cityLocative })}</strong>{' '}
+        {t('zones.details', { tier: zone.tier, time: formatDeliveryTime(zone, t) })}
+      </p>
+    </div>
+  )
+}
+
+export default CoverageNotice
@@ -0,0 +1,41 @@
+import { Layers } from 'lucide-react'
+import { ZONE_TIERS, TIER_COLORS } from '../lib/deliveryZones'
+import { useI18n } from '../hooks/useI18n'
+
+const SWATCH_CLASSES = {
+  green: 'bg-green-500',
+  orange: 'bg-orange-500',
+  red: 'bg-red-500'
+}
+
+// Map overlay switch, with a legend of the zone tiers while it is on
+const DeliveryZonesControl = ({ isVisible, onToggle }) => {
+  const { t } = useI18n()
+
+  return (
+    <div className="bg-white rounded-xl shadow-xl border border-red-100 p-2">
+      <button
+        onClick={() => onToggle(!isVisible)}
+        aria-pressed={isVisible}
+        className={`w-full px-3 py-2 rounded-lg text-sm font-bold flex items-center gap-2 transition-colors ${
+          isVisible ? 'bg-red-100 text-red-700' : 'text-gray-700 hover:bg-red-50'
+        }`}
+      >
+        <Layers className="w-4 h-4" />
+        {t('zones.toggle')}
+      </button>
+      {isVisible && (
+        <ul className="mt-2 px-3 pb-1 space-y-1 text-xs text-gray-600">
+          {ZONE_TIERS.map(tier => (
+            <li key={tier} className="flex items-center gap-2">
+              <span className={`w-3 h-3 rounded-sm opacity-60 ${SWATCH_CLASSES[TIER_COLORS[tier]]}`}></span>
+              {t('zones.tier', { tier })} · {t(`zones.area.${tier}`)}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default DeliveryZonesControl
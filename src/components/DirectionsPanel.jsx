@@ -0,0 +1,78 @@
+import { useState } from 'react'
+import { ChevronDown, Download, Printer } from 'lucide-react'
+import { formatDistance } from '../lib/format'
+import { toGpx, toKml, downloadFile, getRouteStops } from '../lib/routeExport'
+import { useI18n } from '../hooks/useI18n'
+
+// Turn-by-turn list for the active route, plus GPX/KML export and printing
+const DirectionsPanel = ({ route, name }) => {
+  const { t, tag } = useI18n()
+  const [isOpen, setIsOpen] = useState(false)
+  if (!route.maneuvers?.length) return null
+
+  const exportRoute = (format) => {
+    const options = { name, stops: getRouteStops(route) }
+    if (format === 'gpx') {
+      downloadFile(toGpx(route, options), 'route.gpx', 'application/gpx+xml')
+    } else {
+      downloadFile(toKml(route, options), 'route.kml', 'application/vnd.google-earth.kml+xml')
+    }
+  }
+
+  return (
+    <div className="mt-3 pt-3 border-t border-red-100 w-64">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+        aria-controls="route-directions"
+        className="w-full flex items-center justify-between text-sm font-bold text-gray-700"
+      >
+        {t('directions.title')}
+        <ChevronDown className={`w-4 h-4 transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <ol id="route-directions" className="mt-2 space-y-2 text-xs text-gray-600">
+          {route.maneuvers.map((maneuver, index) => (
+            <li key={index} className="flex gap-2">
+              <span className="font-bold text-red-600">{index + 1}.</span>
+              <span className="flex-1">
+                <span className="block font-semibold text-gray-900">{maneuver.instruction}</span>
+                {maneuver.street && <span className="block">{maneuver.street}</span>}
+              </span>
+              {maneuver.distance > 0 && (
+                <span className="font-semibold whitespace-nowrap">{formatDistance(maneuver.distance, tag)}</span>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <div className="mt-2 flex gap-1">
+        <button
+          onClick={() => exportRoute('gpx')}
+          className="flex-1 bg-gray-50 hover:bg-red-50 text-gray-700 px-2 py-1 rounded-lg text-xs font-bold flex items-center justify-center gap-1"
+        >
+          <Download className="w-3 h-3" />
+          GPX
+        </button>
+        <button
+          onClick={() => exportRoute('kml')}
+          className="flex-1 bg-gray-50 hover:bg-red-50 text-gray-700 px-2 py-1 rounded-lg text-xs font-bold flex items-center justify-center gap-1"
+        >
+          <Download className="w-3 h-3" />
+          KML
+        </button>
+        <button
+          onClick={() => window.print()}
+          className="flex-1 bg-gray-50 hover:bg-red-50 text-gray-700 px-2 py-1 rounded-lg text-xs font-bold flex items-center justify-center gap-1"
+        >
+          <Printer className="w-3 h-3" />
+          {t('directions.print')}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default DirectionsPanel
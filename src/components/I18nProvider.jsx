@@ -0,0 +1,24 @@
+import { useState, useEffect, useMemo } from 'react'
+import { I18nContext } from '../hooks/useI18n'
+import { detectLocale, saveLocale, getLocale, createTranslator } from '../lib/i18n'
+
+// Holds the selected language, remembers it across visits and keeps
+// <html lang> and the document title in sync
+const I18nProvider = ({ children }) => {
+  const [locale, setLocale] = useState(detectLocale)
+
+  const value = useMemo(() => {
+    const { tag, mapLang } = getLocale(locale)
+    return { locale, tag, mapLang, setLocale, t: createTranslator(locale) }
+  }, [locale])
+
+  useEffect(() => {
+    saveLocale(locale)
+    document.documentElement.lang = locale
+    document.title = value.t('meta.title')
+  }, [value])
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>
+}
+
+export default I18nProvider
@@ -0,0 +1,30 @@
+import { LOCALES } from '../lib/i18n'
+import { useI18n } from '../hooks/useI18n'
+
+// RU / EN / FR toggle; the choice is remembered by I18nProvider
+const LanguageSwitcher = ({ className = '' }) => {
+  const { locale, setLocale, t } = useI18n()
+
+  return (
+    <div role="group" aria-label={t('language.label')} className={`items-center gap-1 bg-gray-50 rounded-xl p-1 ${className}`}>
+      {LOCALES.map(({ id, label, name }) => (
+        <button
+          key={id}
+          onClick={() => setLocale(id)}
+          lang={id}
+          title={name}
+          aria-pressed={locale === id}
+          className={`px-2 py-1 rounded-lg text-xs font-bold transition-all ${
+            locale === id
+              ? 'bg-gradient-to-r from-red-600 to-orange-600 text-white'
+              : 'text-gray-700 hover:bg-red-50'
+          }`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+export default LanguageSwitcher
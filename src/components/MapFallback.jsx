@@ -0,0 +1,53 @@
+import { AlertCircle, MapPin, Navigation, RefreshCw } from 'lucide-react'
+import { useI18n } from '../hooks/useI18n'
+
+// OpenStreetMap plans the route from wherever the visitor enters
+const getDirectionsUrl = ([lat, lon]) =>
+  `https://www.openstreetmap.org/directions?route=${encodeURIComponent(`;${lat},${lon}`)}`
+
+// Shown in place of the map when the map SDK cannot be loaded: every
+// office's address with a route link to OpenStreetMap, and a retry button
+const MapFallback = ({ offices, onRetry }) => {
+  const { t } = useI18n()
+
+  return (
+    <div className="absolute inset-0 overflow-y-auto bg-gradient-to-br from-red-50 via-orange-50 to-yellow-50 p-6 flex flex-col gap-4">
+      <div className="flex flex-wrap items-start gap-3">
+        <AlertCircle className="w-6 h-6 text-red-600 flex-shrink-0" aria-hidden="true" />
+        <div className="flex-1 min-w-[12rem]">
+          <p className="font-black text-gray-900">{t('map.failed.title')}</p>
+          <p className="text-sm text-gray-600 font-medium">{t('map.failed.text')}</p>
+        </div>
+        <button
+          onClick={onRetry}
+          className="bg-gradient-to-r from-red-600 to-orange-600 hover:from-red-700 hover:to-orange-700 text-white px-4 py-2 rounded-lg font-bold transition-all flex items-center gap-2 shadow-lg shadow-red-500/30"
+        >
+          <RefreshCw className="w-4 h-4" aria-hidden="true" />
+          {t('map.retry')}
+        </button>
+      </div>
+      <ul className="grid sm:grid-cols-2 gap-3">
+        {offices.map(office => (
+          <li key={office.id} className="bg-white rounded-xl border-2 border-red-100 p-4 flex flex-col gap-2">
+            <p className="font-bold text-gray-900 flex items-center gap-2">
+              <MapPin className="w-4 h-4 text-red-600" aria-hidden="true" />
+              {office.city}
+            </p>
+            <p className="text-sm text-gray-700">{office.address}</p>
+            <a
+              href={getDirectionsUrl(office.coords)}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="mt-auto self-start text-sm font-bold text-red-600 hover:text-red-700 flex items-center gap-1 transition-colors"
+            >
+              <Navigation className="w-4 h-4" aria-hidden="true" />
+              {t('map.routeExternal')}
+            </a>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default MapFallback
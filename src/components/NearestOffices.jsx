@@ -0,0 +1,48 @@
+import { MapPin, Navigation } from 'lucide-react'
+import { formatDistance, formatDuration } from '../lib/format'
+import { useI18n } from '../hooks/useI18n'
+
+// Offices ranked by distance from the searched address, nearest first.
+const NearestOffices = ({ ranking, onRoute }) => {
+  const { t, tag } = useI18n()
+  const [nearest] = ranking
+
+  return (
+    <div className="w-64">
+      <button
+        onClick={() => onRoute(nearest.office)}
+        className="w-full mb-3 bg-gradient-to-r from-red-600 to-orange-600 hover:from-red-700 hover:to-orange-700 text-white px-4 py-2 rounded-lg font-bold transition-all flex items-center justify-center gap-2 shadow-lg shadow-red-500/30"
+      >
+        <Navigation className="w-4 h-4" />
+        {t('nearest.routeToNearest')}
+      </button>
+      <ol className="flex flex-col gap-2 max-h-64 overflow-y-auto">
+        {ranking.map((entry, index) => (
+          <li key={entry.office.id}>
+            <button
+              onClick={() => onRoute(entry.office)}
+              className={`w-full px-4 py-2 rounded-lg font-semibold transition-all text-left flex items-start gap-2 ${
+                index === 0
+                  ? 'bg-gradient-to-r from-red-100 to-orange-100 border-2 border-red-400'
+                  : 'bg-gradient-to-r from-red-50 to-orange-50 hover:from-red-100 hover:to-orange-100'
+              }`}
+            >
+              <MapPin className="w-4 h-4 text-red-600 mt-1 flex-shrink-0" />
+              <span className="flex-1">
+                <span className="block text-gray-900">
+                  {index + 1}. {entry.office.city}
+                  {index === 0 && <span className="ml-2 text-xs text-red-600 font-bold">{t('nearest.badge')}</span>}
+                </span>
+                <span className="block text-xs text-gray-500 font-medium">
+                  {entry.isEstimate && '≈ '}{formatDistance(entry.distance, tag)} · {formatDuration(entry.duration, tag)}
+                </span>
+              </span>
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  )
+}
+
+export default NearestOffices
@@ -0,0 +1,81 @@
+import { MapPin, Phone, Mail, Clock, ChevronRight } from 'lucide-react'
+import { formatHours } from '../lib/offices'
+import { getOpenStatus, getStatusTone, formatOpenStatus, STATUS_TEXT_CLASSES } from '../lib/openingHours'
+import { formatPhone } from '../lib/format'
+import { useI18n } from '../hooks/useI18n'
+
+const NEXT_KEYS = ['ArrowDown', 'ArrowRight']
+const PREVIOUS_KEYS = ['ArrowUp', 'ArrowLeft']
+
+// Every office as a card, so the details dialog can be reached without the
+// map. Arrow keys move between the cards' detail buttons.
+const OfficeDirectory = ({ offices, now, onSelect }) => {
+  const { t, tag } = useI18n()
+
+  const handleKeyDown = (e) => {
+    const isNext = NEXT_KEYS.includes(e.key)
+    if (!isNext && !PREVIOUS_KEYS.includes(e.key)) return
+
+    const buttons = [...e.currentTarget.querySelectorAll('[data-office-details]')]
+    const index = buttons.indexOf(document.activeElement)
+    if (index === -1) return
+
+    e.preventDefault()
+    buttons[(index + (isNext ? 1 : -1) + buttons.length) % buttons.length].focus()
+  }
+
+  return (
+    <ul className="grid md:grid-cols-2 gap-6" onKeyDown={handleKeyDown}>
+      {offices.map(office => {
+        const status = getOpenStatus(office, now)
+        const titleId = `office-card-${office.id}`
+        return (
+          <li key={office.id}>
+            <article
+              aria-labelledby={titleId}
+              className="h-full bg-white p-6 rounded-2xl border-2 border-red-100 focus-within:border-red-400 shadow-lg flex flex-col gap-3"
+            >
+              <h3 id={titleId} className="text-2xl font-black text-gray-900">{office.city}</h3>
+              <p className="flex items-start gap-2 text-gray-700">
+                <MapPin className="w-5 h-5 text-red-600 mt-0.5 flex-shrink-0" aria-hidden="true" />
+                {office.address}
+              </p>
+              <p className="flex items-start gap-2">
+                <Clock className="w-5 h-5 text-red-600 mt-0.5 flex-shrink-0" aria-hidden="true" />
+                <span>
+                  <span className={`block font-semibold ${STATUS_TEXT_CLASSES[getStatusTone(status)]}`}>
+                    {formatOpenStatus(status, t)}
+                  </span>
+                  <span className="block text-sm text-gray-600">{formatHours(office.hours, tag)}</span>
+                </span>
+              </p>
+              <p className="flex items-center gap-2">
+                <Phone className="w-5 h-5 text-red-600 flex-shrink-0" aria-hidden="true" />
+                <a href={`tel:${office.phone.replace(/\s/g, '')}`} className="text-gray-700 hover:text-red-600 font-medium underline-offset-2 hover:underline">
+                  {formatPhone(office.phone, office.country, tag)}
+                </a>
+              </p>
+              <p className="flex items-center gap-2">
+                <Mail className="w-5 h-5 text-red-600 flex-shrink-0" aria-hidden="true" />
+                <a href={`mailto:${office.email}`} className="text-gray-700 hover:text-red-600 font-medium underline-offset-2 hover:underline">
+                  {office.email}
+                </a>
+              </p>
+              <button
+                data-office-details
+                onClick={() => onSelect(office)}
+                aria-label={t('offices.detailsFor', { city: office.city })}
+                className="mt-auto self-start text-red-600 hover:text-red-700 font-bold flex items-center gap-1 transition-colors"
+              >
+                {t('offices.details')}
+                <ChevronRight className="w-4 h-4" aria-hidden="true" />
+              </button>
+            </article>
+          </li>
+        )
+      })}
+    </ul>
+  )
+}
+
+export default OfficeDirectory
@@ -0,0 +1,114 @@
+import { useState } from 'react'
+import { MapPin } from 'lucide-react'
+import { OFFICE_SERVICES, isInBounds } from '../lib/offices'
+import { getOpenStatus, getStatusTone, formatOpenStatus, STATUS_TEXT_CLASSES } from '../lib/openingHours'
+import { useI18n } from '../hooks/useI18n'
+
+const SELECT_CLASSES = 'w-full px-3 py-2 rounded-lg border-2 border-red-100 focus:border-red-500 focus:outline-none text-sm font-medium bg-white'
+
+// Offices inside the visible map area, filtered by city, service and
+// opening status. Hovering a row highlights its marker on the map.
+const OfficeList = ({ offices, bounds, now, onHighlight, onSelect, onShowAll }) => {
+  const { t, tag } = useI18n()
+  const [city, setCity] = useState('')
+  const [service, setService] = useState('')
+  const [isOpenNow, setIsOpenNow] = useState(false)
+
+  const cities = [...new Set(offices.map(office => office.city))].sort((a, b) => a.localeCompare(b, tag))
+  const visible = offices.filter(office =>
+    (!city || office.city === city) &&
+    (!service || office.services.includes(service)) &&
+    (!isOpenNow || getOpenStatus(office, now).isOpen) &&
+    (!bounds || isInBounds(office.coords, bounds))
+  )
+
+  // Clears the filters and fits every office into the map
+  const showAll = () => {
+    setCity('')
+    setService('')
+    setIsOpenNow(false)
+    onShowAll()
+  }
+
+  return (
+    <div className="bg-white rounded-3xl shadow-2xl border-4 border-red-100 p-4 flex flex-col gap-3 lg:h-[600px]">
+      <h3 className="text-lg font-black text-gray-900">{t('officeList.title')}</h3>
+      <div className="grid grid-cols-2 gap-2">
+        <label className="text-xs font-bold text-gray-600">
+          {t('officeList.city')}
+          <select value={city} onChange={(e) => setCity(e.target.value)} className={`mt-1 ${SELECT_CLASSES}`}>
+            <option value="">{t('officeList.anyCity')}</option>
+            {cities.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs font-bold text-gray-600">
+          {t('officeList.service')}
+          <select value={service} onChange={(e) => setService(e.target.value)} className={`mt-1 ${SELECT_CLASSES}`}>
+            <option value="">{t('officeList.anyService')}</option>
+            {OFFICE_SERVICES.map(id => (
+              <option key={id} value={id}>{t(`office.service.${id}`)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+        <input
+          type="checkbox"
+          checked={isOpenNow}
+          onChange={(e) => setIsOpenNow(e.target.checked)}
+          className="w-4 h-4 accent-red-600"
+        />
+        {t('officeList.openNow')}
+      </label>
+
+      {visible.length > 0 ? (
+        <ul className="flex-1 overflow-y-auto flex flex-col gap-2" onMouseLeave={() => onHighlight(null)}>
+          {visible.map(office => {
+            const status = getOpenStatus(office, now)
+            return (
+              <li key={office.id}>
+                <button
+                  onClick={() => onSelect(office)}
+                  onMouseEnter={() => onHighlight(office.id)}
+                  onFocus={() => onHighlight(office.id)}
+                  onBlur={() => onHighlight(null)}
+                  className="w-full px-4 py-3 rounded-lg text-left flex items-start gap-2 bg-gradient-to-r from-red-50 to-orange-50 hover:from-red-100 hover:to-orange-100 transition-all"
+                >
+                  <MapPin className="w-4 h-4 text-red-600 mt-1 flex-shrink-0" />
+                  <span className="flex-1">
+                    <span className="block font-bold text-gray-900">{office.city}</span>
+                    <span className="block text-xs text-gray-600">{office.shortAddress}</span>
+                    <span className={`block text-xs font-semibold ${STATUS_TEXT_CLASSES[getStatusTone(status)]}`}>
+                      {formatOpenStatus(status, t)}
+                    </span>
+                    <span className="flex flex-wrap gap-1 mt-2">
+                      {office.services.map(id => (
+                        <span key={id} className="px-2 py-0.5 rounded-full bg-white text-[11px] font-semibold text-red-700 border border-red-200">
+                          {t(`office.service.${id}`)}
+                        </span>
+                      ))}
+                    </span>
+                  </span>
+                </button>
+              </li>
+            )
+          })}
+        </ul>
+      ) : (
+        <div className="flex-1 flex flex-col items-center justify-center text-center gap-3 py-6">
+          <p className="text-sm text-gray-500 font-medium">{t('officeList.empty')}</p>
+          <button
+            onClick={showAll}
+            className="text-sm font-bold text-red-600 hover:text-red-700 transition-colors"
+          >
+            {t('officeList.showAll')}
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default OfficeList
@@ -0,0 +1,415 @@
+import { useState } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { X, ChevronLeft, ChevronRight, CheckCircle, AlertCircle, MapPin, Package, User, Building2 } from 'lucide-react'
+import { createOrder } from '../lib/orders'
+import { formatHours } from '../lib/offices'
+import { useI18n } from '../hooks/useI18n'
+
+// Step titles live in the catalogues under `order.step.<id>`
+const STEPS = [
+  { id: 'sender', icon: User },
+  { id: 'recipient', icon: MapPin },
+  { id: 'parcel', icon: Package },
+  { id: 'office', icon: Building2 },
+  { id: 'review', icon: CheckCircle }
+]
+
+const emptyContact = { name: '', phone: '', email: '', address: '' }
+const emptyParcel = { weight: '', length: '', width: '', height: '', description: '' }
+
+const inputClassName = 'w-full px-4 py-3 bg-gradient-to-r from-red-50 to-orange-50 border-2 border-red-100 rounded-xl text-gray-900 placeholder-gray-500 focus:outline-none focus:border-red-500 transition-colors font-medium'
+
+const Field = ({ label, children }) => (
+  <div>
+    <label className="block text-sm font-bold text-gray-700 mb-2">{label}</label>
+    {children}
+  </div>
+)
+
+const ContactFields = ({ contact, onChange, withEmail }) => {
+  const { t } = useI18n()
+
+  return (
+    <div className="space-y-4">
+      <div className="grid md:grid-cols-2 gap-4">
+        <Field label={t('order.field.name')}>
+          <input
+            type="text"
+            value={contact.name}
+            onChange={(e) => onChange({ ...contact, name: e.target.value })}
+            placeholder={t('order.placeholder.name')}
+            className={inputClassName}
+          />
+        </Field>
+        <Field label={t('order.field.phone')}>
+          <input
+            type="tel"
+            value={contact.phone}
+            onChange={(e) => onChange({ ...contact, phone: e.target.value })}
+            placeholder="+33 6 12 34 56 78"
+            className={inputClassName}
+          />
+        </Field>
+      </div>
+      {withEmail && (
+        <Field label={t('order.field.email')}>
+          <input
+            type="email"
+            value={contact.email}
+            onChange={(e) => onChange({ ...contact, email: e.target.value })}
+            placeholder={t('order.placeholder.email')}
+            className={inputClassName}
+          />
+        </Field>
+      )}
+      <Field label={t('order.field.address')}>
+        <input
+          type="text"
+          value={contact.address}
+          onChange={(e) => onChange({ ...contact, address: e.target.value, location: null })}
+          placeholder={t('order.placeholder.address')}
+          className={inputClassName}
+        />
+      </Field>
+      {contact.location && (
+        <p className="text-sm text-green-700 font-medium flex items-center gap-2">
+          <CheckCircle className="w-4 h-4" />
+          {t('order.addressFound', { address: contact.location.address })}
+        </p>
+      )}
+    </div>
+  )
+}
+
+// Validators return the catalogue key of the first problem, or ''
+const validateContact = (contact, withEmail) => {
+  if (!contact.name.trim()) return 'order.error.name'
+  if (!contact.phone.trim()) return 'order.error.phone'
+  if (withEmail && !/^\S+@\S+\.\S+$/.test(contact.email)) return 'order.error.email'
+  if (!contact.address.trim()) return 'order.error.address'
+  return ''
+}
+
+const validateParcel = (parcel) => {
+  const weight = parseFloat(parcel.weight)
+  if (!(weight > 0)) return 'order.error.weight'
+  if (weight > 30) return 'order.error.maxWeight'
+  const dimensions = [parcel.length, parcel.width, parcel.height].map(parseFloat)
+  if (dimensions.some(value => !(value > 0))) return 'order.error.dimensions'
+  if (dimensions.some(value => value > 150)) return 'order.error.maxDimension'
+  return ''
+}
+
+// Multi-step "order delivery" flow. Addresses are validated through
+// the same geocoder the map search uses before moving to the next step.
+const OrderWizard = ({ offices, geocode, onClose, onOrderCreated }) => {
+  const { t, tag } = useI18n()
+  const [step, setStep] = useState(0)
+  const [sender, setSender] = useState(emptyContact)
+  const [recipient, setRecipient] = useState(emptyContact)
+  const [parcel, setParcel] = useState(emptyParcel)
+  const [officeId, setOfficeId] = useState(offices[0]?.id)
+  const [error, setError] = useState('')
+  const [isValidating, setIsValidating] = useState(false)
+  const [order, setOrder] = useState(null)
+
+  const office = offices.find(off => off.id === officeId)
+
+  const resolveAddress = (contact, setContact) => {
+    if (contact.location) return Promise.resolve(true)
+
+    setIsValidating(true)
+    return geocode(contact.address)
+      .then(location => {
+        if (!location) {
+          setError('order.error.addressNotFound')
+          return false
+        }
+        setContact({ ...contact, location })
+        return true
+      })
+      .catch(error => {
+        console.error('Geocoding error:', error)
+        setError('order.error.geocode')
+        return false
+      })
+      .finally(() => setIsValidating(false))
+  }
+
+  const handleNext = async () => {
+    setError('')
+    const stepId = STEPS[step].id
+
+    if (stepId === 'sender' || stepId === 'recipient') {
+      const isSender = stepId === 'sender'
+      const contact = isSender ? sender : recipient
+      const validationError = validateContact(contact, isSender)
+      if (validationError) {
+        setError(validationError)
+        return
+      }
+      const isResolved = await resolveAddress(contact, isSender ? setSender : setRecipient)
+      if (!isResolved) return
+    }
+
+    if (stepId === 'parcel') {
+      const validationError = validateParcel(parcel)
+      if (validationError) {
+        setError(validationError)
+        return
+      }
+    }
+
+    if (stepId === 'office' && !office) {
+      setError('order.error.office')
+      return
+    }
+
+    setStep(step + 1)
+  }
+
+  const handleBack = () => {
+    setError('')
+    setStep(step - 1)
+  }
+
+  const handleConfirm = () => {
+    const newOrder = createOrder({
+      sender,
+      recipient,
+      parcel: {
+        weight: parseFloat(parcel.weight),
+        length: parseFloat(parcel.length),
+        width: parseFloat(parcel.width),
+        height: parseFloat(parcel.height),
+        description: parcel.description.trim()
+      },
+      office
+    })
+    setOrder(newOrder)
+    onOrderCreated(newOrder)
+  }
+
+  const renderStep = () => {
+    switch (STEPS[step].id) {
+      case 'sender':
+        return <ContactFields contact={sender} onChange={setSender} withEmail />
+      case 'recipient':
+        return <ContactFields contact={recipient} onChange={setRecipient} />
+      case 'parcel':
+        return (
+          <div className="space-y-4">
+            <Field label={t('order.field.weight')}>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={parcel.weight}
+                onChange={(e) => setParcel({ ...parcel, weight: e.target.value })}
+                placeholder="2.5"
+                className={inputClassName}
+              />
+            </Field>
+            <div className="grid grid-cols-3 gap-4">
+              {['length', 'width', 'height'].map(key => (
+                <Field key={key} label={t(`order.field.${key}`)}>
+                  <input
+                    type="number"
+                    min="0"
+                    value={parcel[key]}
+                    onChange={(e) => setParcel({ ...parcel, [key]: e.target.value })}
+                    className={inputClassName}
+                  />
+                </Field>
+              ))}
+            </div>
+            <Field label={t('order.field.description')}>
+              <textarea
+                value={parcel.description}
+                onChange={(e) => setParcel({ ...parcel, description: e.target.value })}
+                placeholder={t('order.placeholder.description')}
+                rows="3"
+                className={`${inputClassName} resize-none`}
+              />
+            </Field>
+          </div>
+        )
+      case 'office':
+        return (
+          <div className="space-y-3">
+            {offices.map(off => (
+              <button
+                key={off.id}
+                type="button"
+                onClick={() => setOfficeId(off.id)}
+                className={`w-full text-left p-4 rounded-xl border-2 transition-all flex items-start gap-3 ${
+                  off.id === officeId
+                    ? 'border-red-500 bg-gradient-to-r from-red-50 to-orange-50'
+                    : 'border-red-100 hover:border-red-300'
+                }`}
+              >
+                <MapPin className="w-5 h-5 text-red-600 mt-1 flex-shrink-0" />
+                <div>
+                  <p className="font-bold text-gray-900">{off.city}</p>
+                  <p className="text-sm text-gray-700">{off.address}</p>
+                  <p className="text-sm text-gray-500">{formatHours(off.hours, tag)}</p>
+                </div>
+              </button>
+            ))}
+          </div>
+        )
+      case 'review':
+        return (
+          <div className="space-y-3 text-gray-700">
+            <div className="p-4 bg-gradient-to-r from-red-50 to-orange-50 rounded-xl">
+              <p className="font-bold text-gray-900 mb-1">{t('order.review.sender')}</p>
+              <p>{sender.name}, {sender.phone}, {sender.email}</p>
+              <p className="text-sm">{sender.location?.address}</p>
+            </div>
+            <div className="p-4 bg-gradient-to-r from-red-50 to-orange-50 rounded-xl">
+              <p className="font-bold text-gray-900 mb-1">{t('order.review.recipient')}</p>
+              <p>{recipient.name}, {recipient.phone}</p>
+              <p className="text-sm">{recipient.location?.address}</p>
+            </div>
+            <div className="p-4 bg-gradient-to-r from-red-50 to-orange-50 rounded-xl">
+              <p className="font-bold text-gray-900 mb-1">{t('order.review.parcel')}</p>
+              <p>{t('order.review.parcelSize', parcel)}</p>
+              {parcel.description && <p className="text-sm">{parcel.description}</p>}
+            </div>
+            <div className="p-4 bg-gradient-to-r from-red-50 to-orange-50 rounded-xl">
+              <p className="font-bold text-gray-900 mb-1">{t('order.review.office')}</p>
+              <p>{office?.city}, {office?.address}</p>
+            </div>
+          </div>
+        )
+      default:
+        return null
+    }
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-6"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white rounded-2xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto p-8 border-4 border-red-100"
+      >
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-3xl font-black text-gray-900">{t('order.title')}</h3>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-red-50 rounded-lg transition-colors"
+            aria-label={t('common.close')}
+          >
+            <X className="w-6 h-6 text-gray-600" />
+          </button>
+        </div>
+
+        {order ? (
+          <div className="text-center py-8">
+            <div className="bg-green-500/20 w-20 h-20 rounded-full flex items-center justify-center mx-auto mb-6">
+              <CheckCircle className="w-10 h-10 text-green-600" />
+            </div>
+            <h4 className="text-2xl font-black text-gray-900 mb-2">{t('order.success.title')}</h4>
+            <p className="text-gray-600 mb-4 font-medium">{t('order.success.number')}</p>
+            <p className="text-3xl font-black text-red-600 mb-8 tracking-wider">{order.id}</p>
+            <button
+              onClick={onClose}
+              className="bg-gradient-to-r from-red-600 to-orange-600 hover:from-red-700 hover:to-orange-700 text-white px-8 py-3 rounded-xl font-bold transition-all"
+            >
+              {t('order.success.done')}
+            </button>
+          </div>
+        ) : (
+          <>
+            {/* Step indicator */}
+            <div className="flex items-center justify-between mb-8">
+              {STEPS.map(({ id, icon: Icon }, index) => (
+                <div key={id} className="flex flex-col items-center flex-1">
+                  <div className={`w-10 h-10 rounded-full flex items-center justify-center mb-1 ${
+                    index <= step
+                      ? 'bg-gradient-to-br from-red-500 to-orange-500 text-white'
+                      : 'bg-gray-100 text-gray-400'
+                  }`}>
+                    <Icon className="w-5 h-5" />
+                  </div>
+                  <span className={`text-xs font-bold ${index === step ? 'text-red-600' : 'text-gray-500'}`}>
+                    {t(`order.step.${id}`)}
+                  </span>
+                </div>
+              ))}
+            </div>
+
+            <AnimatePresence mode="wait">
+              <motion.div
+                key={STEPS[step].id}
+                initial={{ opacity: 0, x: 20 }}
+                animate={{ opacity: 1, x: 0 }}
+                exit={{ opacity: 0, x: -20 }}
+                transition={{ duration: 0.2 }}
+              >
+                {renderStep()}
+              </motion.div>
+            </AnimatePresence>
+
+            {error && (
+              <div className="mt-4 flex items-center gap-2 p-4 bg-red-50 border-2 border-red-200 rounded-xl">
+                <AlertCircle className="w-5 h-5 text-red-600" />
+                <p className="text-red-600 font-semibold">{t(error)}</p>
+              </div>
+            )}
+
+            <div className="mt-6 flex gap-3">
+              {step > 0 && (
+                <button
+                  onClick={handleBack}
+                  className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-6 py-3 rounded-xl font-bold transition-all flex items-center gap-2"
+                >
+                  <ChevronLeft className="w-5 h-5" />
+                  {t('order.back')}
+                </button>
+              )}
+              {STEPS[step].id === 'review' ? (
+                <button
+                  onClick={handleConfirm}
+                  className="flex-1 bg-gradient-to-r from-red-600 to-orange-600 hover:from-red-700 hover:to-orange-700 text-white px-6 py-3 rounded-xl font-bold transition-all shadow-lg shadow-red-500/30 flex items-center justify-center gap-2"
+                >
+                  <CheckCircle className="w-5 h-5" />
+                  {t('order.confirm')}
+                </button>
+              ) : (
+                <button
+                  onClick={handleNext}
+                  disabled={isValidating}
+                  className="flex-1 bg-gradient-to-r from-red-600 to-orange-600 hover:from-red-700 hover:to-orange-700 disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed text-white px-6 py-3 rounded-xl font-bold transition-all shadow-lg shadow-red-500/30 flex items-center justify-center gap-2"
+                >
+                  {isValidating ? (
+                    <>
+                      <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
+                      {t('order.validating')}
+                    </>
+                  ) : (
+                    <>
+                      {t('order.next')}
+                      <ChevronRight className="w-5 h-5" />
+                    </>
+                  )}
+                </button>
+              )}
+            </div>
+          </>
+        )}
+      </motion.div>
+    </motion.div>
+  )
+}
+
+export default OrderWizard
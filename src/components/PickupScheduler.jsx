@@ -0,0 +1,297 @@
+import { useState, useMemo } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { MapPin, Search, Truck, CheckCircle, AlertCircle, Clock, Building2 } from 'lucide-react'
+import { findPickupOffice, getPickupSlots, bookPickup, PICKUP_ERRORS } from '../lib/pickup'
+import { normalizePhone, getRegion } from '../lib/phone'
+import { formatDate } from '../lib/format'
+import { useI18n } from '../hooks/useI18n'
+
+const inputClassName = 'w-full px-4 py-3 bg-gradient-to-r from-red-50 to-orange-50 border-2 border-red-100 rounded-xl text-gray-900 placeholder-gray-500 focus:outline-none focus:border-red-500 transition-colors font-medium'
+
+// Refusals after which the chosen slot cannot be booked by anyone
+const SLOT_GONE_ERRORS = [PICKUP_ERRORS.past, PICKUP_ERRORS.full, PICKUP_ERRORS.unavailable]
+
+// Books a courier to collect a parcel. The address is checked with the same
+// geocoder the map search uses and assigned to the office whose delivery
+// zone covers it; slots come from that office's hours and courier capacity.
+// Bookings go through `source` (see src/lib/pickup).
+const PickupScheduler = ({ offices, geocode, source, now }) => {
+  const { t, tag } = useI18n()
+  const [address, setAddress] = useState('')
+  const [location, setLocation] = useState(null)
+  const [officeId, setOfficeId] = useState(null)
+  const [slotId, setSlotId] = useState('')
+  const [name, setName] = useState('')
+  const [phone, setPhone] = useState('')
+  const [bookings, setBookings] = useState([])
+  const [error, setError] = useState('')
+  const [isChecking, setIsChecking] = useState(false)
+  const [isBooking, setIsBooking] = useState(false)
+  const [booking, setBooking] = useState(null)
+
+  const office = offices.find(({ id }) => id === officeId)
+  const days = useMemo(() => (office ? getPickupSlots(office, bookings, now) : []), [office, bookings, now])
+
+  // Slots stay bookable when the list cannot be fetched; the source still
+  // checks them when the booking is made
+  const refreshBookings = (id) => source.list(id)
+    .then(setBookings)
+    .catch(error => {
+      console.error('Pickup bookings error:', error)
+      setBookings([])
+    })
+
+  const handleAddressChange = (value) => {
+    setAddress(value)
+    setLocation(null)
+    setOfficeId(null)
+    setSlotId('')
+  }
+
+  const handleCheckAddress = () => {
+    if (!address.trim()) {
+      setError('pickup.error.address')
+      return
+    }
+
+    setError('')
+    setIsChecking(true)
+    geocode(address)
+      .then(result => {
+        if (!result) {
+          setError('pickup.error.addressNotFound')
+          return
+        }
+        const servingOffice = findPickupOffice(result.coords, offices)
+        if (!servingOffice) {
+          setError('pickup.error.outsideZone')
+          return
+        }
+        setLocation(result)
+        setOfficeId(servingOffice.id)
+        return refreshBookings(servingOffice.id)
+      })
+      .catch(error => {
+        console.error('Geocoding error:', error)
+        setError('pickup.error.geocode')
+      })
+      .finally(() => setIsChecking(false))
+  }
+
+  const handleBook = async () => {
+    const normalizedPhone = normalizePhone(phone, getRegion(tag))
+    if (!slotId) {
+      setError('pickup.error.slot')
+    } else if (!name.trim()) {
+      setError('pickup.error.name')
+    } else if (!normalizedPhone) {
+      setError('pickup.error.phone')
+    } else {
+      setError('')
+      setIsBooking(true)
+      try {
+        setBooking(await bookPickup(source, { office, slotId, location, name: name.trim(), phone: normalizedPhone }))
+      } catch (error) {
+        console.error('Pickup booking error:', error)
+        setError(`pickup.error.${error.reason || PICKUP_ERRORS.failed}`)
+        if (SLOT_GONE_ERRORS.includes(error.reason)) setSlotId('')
+      }
+      await refreshBookings(office.id)
+      setIsBooking(false)
+    }
+  }
+
+  const handleReset = () => {
+    setBooking(null)
+    handleAddressChange('')
+  }
+
+  if (booking) {
+    return (
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="bg-white rounded-3xl shadow-2xl border-4 border-red-100 p-8 md:p-12 text-center"
+        role="status"
+      >
+        <CheckCircle className="w-16 h-16 text-green-600 mx-auto mb-4" />
+        <h3 className="text-3xl font-black text-gray-900 mb-2">{t('pickup.success.title')}</h3>
+        <p className="text-gray-600 mb-6">{t('pickup.success.number', { id: booking.id })}</p>
+        <dl className="text-left max-w-md mx-auto space-y-3 mb-8">
+          <div className="p-4 bg-gradient-to-r from-red-50 to-orange-50 rounded-xl">
+            <dt className="text-sm font-bold text-gray-700">{t('pickup.summary.when')}</dt>
+            <dd className="text-gray-900 font-semibold">
+              {formatDate(booking.date, tag)}, {booking.start}–{booking.end}
+            </dd>
+            <dd className="text-sm text-gray-600">{t('pickup.localTime', { city: office?.city })}</dd>
+          </div>
+          <div className="p-4 bg-gradient-to-r from-red-50 to-orange-50 rounded-xl">
+            <dt className="text-sm font-bold text-gray-700">{t('pickup.summary.address')}</dt>
+            <dd className="text-gray-900 font-semibold">{booking.address}</dd>
+          </div>
+          <div className="p-4 bg-gradient-to-r from-red-50 to-orange-50 rounded-xl">
+            <dt className="text-sm font-bold text-gray-700">{t('pickup.summary.contact')}</dt>
+            <dd className="text-gray-900 font-semibold">{booking.name}, {booking.phone}</dd>
+          </div>
+          <div className="p-4 bg-gradient-to-r from-red-50 to-orange-50 rounded-xl">
+            <dt className="text-sm font-bold text-gray-700">{t('pickup.summary.office')}</dt>
+            <dd className="text-gray-900 font-semibold">{office?.city}, {office?.address}</dd>
+          </div>
+        </dl>
+        <button
+          onClick={handleReset}
+          className="bg-gradient-to-r from-red-600 to-orange-600 hover:from-red-700 hover:to-orange-700 text-white px-8 py-3 rounded-xl font-bold transition-all shadow-lg shadow-red-500/30"
+        >
+          {t('pickup.another')}
+        </button>
+      </motion.div>
+    )
+  }
+
+  return (
+    <div className="bg-white rounded-3xl shadow-2xl border-4 border-red-100 p-8 md:p-12 space-y-8">
+      {/* Address */}
+      <div>
+        <label htmlFor="pickup-address" className="block text-sm font-bold text-gray-700 mb-2">{t('pickup.field.address')}</label>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <input
+            id="pickup-address"
+            type="text"
+            value={address}
+            onChange={(e) => handleAddressChange(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleCheckAddress()}
+            placeholder={t('order.placeholder.address')}
+            className={inputClassName}
+          />
+          <button
+            onClick={handleCheckAddress}
+            disabled={isChecking}
+            className="bg-gradient-to-r from-red-600 to-orange-600 hover:from-red-700 hover:to-orange-700 disabled:from-gray-400 disabled:to-gray-500 text-white px-6 py-3 rounded-xl font-bold transition-all shadow-lg shadow-red-500/30 flex items-center justify-center gap-2"
+          >
+            {isChecking ? (
+              <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
+            ) : (
+              <Search className="w-5 h-5" />
+            )}
+            {t('pickup.check')}
+          </button>
+        </div>
+        {office && (
+          <div className="mt-3 space-y-1">
+            <p className="text-sm text-green-700 font-medium flex items-center gap-2">
+              <MapPin className="w-4 h-4" />
+              {location.address}
+            </p>
+            <p className="text-sm text-gray-700 font-medium flex items-center gap-2">
+              <Building2 className="w-4 h-4 text-red-600" />
+              {t('pickup.office', { city: office.city })}
+            </p>
+          </div>
+        )}
+      </div>
+
+      {/* Slots */}
+      {office && (
+        <div>
+          <div className="flex flex-wrap items-baseline justify-between gap-2 mb-4">
+            <p className="text-sm font-bold text-gray-700">{t('pickup.field.slot')}</p>
+            <p className="text-sm text-gray-500 flex items-center gap-1">
+              <Clock className="w-4 h-4" />
+              {t('pickup.localTime', { city: office.city })}
+            </p>
+          </div>
+          {days.length ? (
+            <div className="space-y-4 max-h-80 overflow-y-auto pr-1">
+              {days.map(day => (
+                <div key={day.date} role="group" aria-label={formatDate(day.date, tag)}>
+                  <p className="font-bold text-gray-900 mb-2 first-letter:uppercase">{formatDate(day.date, tag)}</p>
+                  <div className="flex flex-wrap gap-2">
+                    {day.slots.map(slot => (
+                      <button
+                        key={slot.id}
+                        onClick={() => setSlotId(slot.id)}
+                        disabled={slot.available === 0}
+                        aria-pressed={slot.id === slotId}
+                        title={slot.available === 0 ? t('pickup.full') : t('pickup.available', { count: slot.available })}
+                        className={`px-4 py-2 rounded-lg border-2 font-semibold text-sm transition-colors disabled:bg-gray-100 disabled:border-gray-200 disabled:text-gray-400 disabled:line-through ${
+                          slot.id === slotId
+                            ? 'bg-gradient-to-r from-red-600 to-orange-600 border-red-600 text-white'
+                            : 'border-red-100 text-gray-700 hover:border-red-500'
+                        }`}
+                      >
+                        {slot.start}–{slot.end}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-gray-600">{t('pickup.noSlots')}</p>
+          )}
+        </div>
+      )}
+
+      {/* Contact */}
+      {office && days.length > 0 && (
+        <div className="grid md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="pickup-name" className="block text-sm font-bold text-gray-700 mb-2">{t('order.field.name')}</label>
+            <input
+              id="pickup-name"
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder={t('order.placeholder.name')}
+              autoComplete="name"
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label htmlFor="pickup-phone" className="block text-sm font-bold text-gray-700 mb-2">{t('order.field.phone')}</label>
+            <input
+              id="pickup-phone"
+              type="tel"
+              value={phone}
+              onChange={(e) => setPhone(e.target.value)}
+              placeholder="+33 6 12 34 56 78"
+              autoComplete="tel"
+              className={inputClassName}
+            />
+          </div>
+        </div>
+      )}
+
+      <div role="alert">
+        {error && (
+          <div className="flex items-center gap-2 p-4 bg-red-50 border-2 border-red-200 rounded-xl">
+            <AlertCircle className="w-5 h-5 text-red-600" />
+            <p className="text-red-600 font-semibold">{t(error)}</p>
+          </div>
+        )}
+      </div>
+
+      <AnimatePresence>
+        {office && days.length > 0 && (
+          <motion.button
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={handleBook}
+            disabled={isBooking}
+            className="w-full bg-gradient-to-r from-red-600 to-orange-600 hover:from-red-700 hover:to-orange-700 disabled:from-gray-400 disabled:to-gray-500 text-white py-4 rounded-xl font-bold text-lg transition-all shadow-lg shadow-red-500/30 flex items-center justify-center gap-2"
+          >
+            {isBooking ? (
+              <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
+            ) : (
+              <Truck className="w-5 h-5" />
+            )}
+            {t('pickup.submit')}
+          </motion.button>
+        )}
+      </AnimatePresence>
+    </div>
+  )
+}
+
+export default PickupScheduler
@@ -0,0 +1,86 @@
+import { useState } from 'react'
+import { Calculator } from 'lucide-react'
+import { DEFAULT_TARIFFS, calculateQuote, formatPrice, formatDeliveryTime } from '../lib/quote'
+import { formatDuration } from '../lib/format'
+import { useI18n } from '../hooks/useI18n'
+
+const inputClassName = 'w-full px-2 py-1 bg-gray-50 border border-red-100 rounded-lg text-sm text-gray-900 focus:outline-none focus:border-red-500 font-medium'
+
+const formatLineTitle = (line, t) =>
+  t(`quote.line.${line.id}`, { value: line.id === 'speed' ? t(`quote.speed.${line.value}`) : line.value })
+
+// Price quote for the route currently drawn on the map.
+const QuotePanel = ({ route, tariffs = DEFAULT_TARIFFS }) => {
+  const { t, tag } = useI18n()
+  const [parcel, setParcel] = useState({ weight: 1, length: 30, width: 20, height: 15 })
+  const [speed, setSpeed] = useState('standard')
+
+  const updateParcel = (key, value) => {
+    setParcel({ ...parcel, [key]: Math.max(0, parseFloat(value) || 0) })
+  }
+
+  const quote = calculateQuote({
+    distance: route.distance,
+    parcel,
+    speed,
+    originCountry: route.originCountry,
+    destinationCountry: route.destinationCountry
+  }, tariffs)
+
+  return (
+    <div className="mt-3 pt-3 border-t border-red-100 w-64">
+      <p className="text-sm font-bold text-gray-700 mb-2 flex items-center gap-2">
+        <Calculator className="w-4 h-4 text-red-600" />
+        {t('quote.title')}
+      </p>
+      <p className="text-xs text-gray-500 mb-3">
+        {t('quote.summary', { distance: quote.distanceKm, duration: formatDuration(route.duration, tag) })}
+      </p>
+
+      <div className="grid grid-cols-4 gap-1 mb-2">
+        {['weight', 'length', 'width', 'height'].map(key => (
+          <label key={key} className="text-xs text-gray-500 font-semibold">
+            {t(`quote.parcel.${key}`)}
+            <input
+              type="number"
+              min="0"
+              value={parcel[key]}
+              onChange={(e) => updateParcel(key, e.target.value)}
+              className={inputClassName}
+            />
+          </label>
+        ))}
+      </div>
+
+      <select
+        value={speed}
+        onChange={(e) => setSpeed(e.target.value)}
+        className={`${inputClassName} mb-3`}
+      >
+        {Object.entries(tariffs.speeds).map(([id, speedTariff]) => (
+          <option key={id} value={id}>{t(`quote.speed.${id}`)} — {formatDeliveryTime(speedTariff, t)}</option>
+        ))}
+      </select>
+
+      <dl className="space-y-1 text-xs text-gray-600">
+        {quote.lines.map(line => (
+          <div key={line.id} className="flex justify-between gap-2">
+            <dt>{formatLineTitle(line, t)}</dt>
+            <dd className="font-semibold">{formatPrice(line.amount, quote.currency, tag)}</dd>
+          </div>
+        ))}
+      </dl>
+      {quote.volumetricWeight > parcel.weight && (
+        <p className="mt-1 text-xs text-orange-600">
+          {t('quote.volumetric', { weight: quote.volumetricWeight })}
+        </p>
+      )}
+      <div className="mt-2 pt-2 border-t border-red-100 flex justify-between items-baseline">
+        <span className="text-sm font-bold text-gray-900">{t('quote.total')}</span>
+        <span className="text-lg font-black text-red-600">{formatPrice(quote.total, quote.currency, tag)}</span>
+      </div>
+    </div>
+  )
+}
+
+export default QuotePanel
@@ -0,0 +1,38 @@
+import { formatDistance, formatDuration } from '../lib/format'
+import { useI18n } from '../hooks/useI18n'
+
+// Every route the router returned; picking one makes it the active route
+const RouteAlternatives = ({ routes, activeIndex, mode, onSelect }) => {
+  const { t, tag } = useI18n()
+  if (!routes || routes.length < 2) return null
+
+  return (
+    <div className="mt-3 pt-3 border-t border-red-100 w-64">
+      <p className="text-sm font-bold text-gray-700 mb-2">{t('routes.alternatives')}</p>
+      <div className="flex flex-col gap-1">
+        {routes.map((route, index) => (
+          <button
+            key={index}
+            onClick={() => onSelect(index)}
+            aria-pressed={index === activeIndex}
+            className={`px-3 py-2 rounded-lg text-left text-xs transition-all ${
+              index === activeIndex
+                ? 'bg-gradient-to-r from-red-100 to-orange-100 border-2 border-red-400'
+                : 'bg-gray-50 hover:bg-red-50 border-2 border-transparent'
+            }`}
+          >
+            <span className="block text-sm font-bold text-gray-900">{formatDuration(route.duration, tag)}</span>
+            <span className="block text-gray-600 font-medium">
+              {formatDistance(route.distance, tag)}
+              {mode === 'masstransit' && ` · ${route.transfers
+                ? t('routes.transfers', { count: route.transfers })
+                : t('routes.noTransfers')}`}
+            </span>
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default RouteAlternatives
@@ -0,0 +1,185 @@
+import { formatDistance, formatDuration } from '../lib/format'
+import { getRouteStops } from '../lib/routeExport'
+import { useI18n } from '../hooks/useI18n'
+
+const SNAPSHOT_WIDTH = 640
+const SNAPSHOT_HEIGHT = 360
+const SNAPSHOT_PADDING = 24
+const TILE_SIZE = 256
+const MAX_ZOOM = 18
+
+// Web Mercator position in pixels at zoom 0, the projection map tiles use
+const toWorld = ([lat, lon]) => {
+  const sin = Math.sin(lat * Math.PI / 180)
+  return [
+    ((lon + 180) / 360) * TILE_SIZE,
+    (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * TILE_SIZE
+  ]
+}
+
+// Fits [lat, lon] points into the snapshot box at a fractional zoom.
+// `left` and `top` are the box corner in pixels at that zoom.
+const createViewport = (points) => {
+  const world = points.map(toWorld)
+  const xs = world.map(([x]) => x)
+  const ys = world.map(([, y]) => y)
+  const minX = Math.min(...xs)
+  const maxX = Math.max(...xs)
+  const minY = Math.min(...ys)
+  const maxY = Math.max(...ys)
+
+  const zoom = Math.min(MAX_ZOOM, Math.log2(Math.min(
+    (SNAPSHOT_WIDTH - SNAPSHOT_PADDING * 2) / Math.max(maxX - minX, 1e-9),
+    (SNAPSHOT_HEIGHT - SNAPSHOT_PADDING * 2) / Math.max(maxY - minY, 1e-9)
+  )))
+  const scale = 2 ** zoom
+  const left = ((minX + maxX) / 2) * scale - SNAPSHOT_WIDTH / 2
+  const top = ((minY + maxY) / 2) * scale - SNAPSHOT_HEIGHT / 2
+
+  return {
+    zoom,
+    left,
+    top,
+    project: (coords) => {
+      const [x, y] = toWorld(coords)
+      return [x * scale - left, y * scale - top]
+    }
+  }
+}
+
+// Tiles of the whole zoom level below the viewport's, scaled up to cover the box
+const getTiles = ({ zoom, left, top }, template) => {
+  const level = Math.max(0, Math.floor(zoom))
+  const count = 2 ** level
+  const size = TILE_SIZE * 2 ** (zoom - level)
+  const tiles = []
+
+  for (let x = Math.floor(left / size); x * size < left + SNAPSHOT_WIDTH; x++) {
+    for (let y = Math.max(0, Math.floor(top / size)); y < count && y * size < top + SNAPSHOT_HEIGHT; y++) {
+      tiles.push({
+        url: template
+          .replace('{z}', level)
+          .replace('{x}', ((x % count) + count) % count)
+          .replace('{y}', y),
+        left: x * size - left,
+        top: y * size - top,
+        size
+      })
+    }
+  }
+  return tiles
+}
+
+const toPercent = (value, total) => `${(value / total) * 100}%`
+
+// Static map snapshot of the route. A provider with a static map API draws
+// it; otherwise the route line and numbered stops are laid over the
+// provider's tiles, or over a blank box when it has none.
+const RouteSnapshot = ({ route, provider }) => {
+  const { t } = useI18n()
+  const stops = getRouteStops(route)
+  const staticUrl = provider?.getStaticMapUrl?.({
+    path: route.path,
+    stops: route.points,
+    width: SNAPSHOT_WIDTH,
+    height: SNAPSHOT_HEIGHT
+  })
+
+  if (staticUrl) {
+    return (
+      <img
+        src={staticUrl}
+        alt={t('directions.snapshot')}
+        width={SNAPSHOT_WIDTH}
+        height={SNAPSHOT_HEIGHT}
+        className="w-full border border-gray-300 rounded-lg mb-6"
+      />
+    )
+  }
+
+  const viewport = createViewport([...route.path, ...route.points])
+  const tiles = provider?.tileUrl ? getTiles(viewport, provider.tileUrl) : []
+
+  return (
+    <div
+      className="relative w-full overflow-hidden border border-gray-300 rounded-lg mb-6"
+      style={{ aspectRatio: `${SNAPSHOT_WIDTH} / ${SNAPSHOT_HEIGHT}` }}
+    >
+      {tiles.map(tile => (
+        <img
+          key={`${tile.left},${tile.top}`}
+          src={tile.url}
+          alt=""
+          className="absolute max-w-none"
+          style={{
+            left: toPercent(tile.left, SNAPSHOT_WIDTH),
+            top: toPercent(tile.top, SNAPSHOT_HEIGHT),
+            width: toPercent(tile.size, SNAPSHOT_WIDTH),
+            height: toPercent(tile.size, SNAPSHOT_HEIGHT)
+          }}
+        />
+      ))}
+      <svg
+        viewBox={`0 0 ${SNAPSHOT_WIDTH} ${SNAPSHOT_HEIGHT}`}
+        className="absolute inset-0 w-full h-full"
+        role="img"
+        aria-label={t('directions.snapshot')}
+      >
+        <polyline
+          points={route.path.map(viewport.project).map(point => point.join(',')).join(' ')}
+          fill="none"
+          stroke="#ef4444"
+          strokeWidth="4"
+          strokeLinejoin="round"
+        />
+        {stops.map((stop, index) => {
+          const [x, y] = viewport.project(stop.coords)
+          return (
+            <g key={index}>
+              <circle cx={x} cy={y} r="10" fill={index === 0 ? '#22c55e' : '#b91c1c'} />
+              <text x={x} y={y + 4} textAnchor="middle" fontSize="11" fontWeight="bold" fill="#fff">
+                {index === 0 ? 'A' : index}
+              </text>
+            </g>
+          )
+        })}
+      </svg>
+      {tiles.length > 0 && (
+        <p className="absolute bottom-0 right-0 bg-white/80 px-1 text-[10px] text-gray-700">{provider.tileAttribution}</p>
+      )}
+    </div>
+  )
+}
+
+// Rendered only for print: summary, snapshot and the full list of directions.
+// While it is mounted the rest of the page is left out of the printout.
+const RoutePrintView = ({ route, name, provider }) => {
+  const { t, tag } = useI18n()
+
+  return (
+    <div className="route-print hidden print:block p-8 text-gray-900">
+      <h1 className="text-2xl font-black mb-1">{name}</h1>
+      <p className="text-sm mb-4">
+        {route.labels.join(' → ')} · {formatDistance(route.distance, tag)} · {formatDuration(route.duration, tag)}
+      </p>
+
+      {route.path?.length > 1 && <RouteSnapshot route={route} provider={provider} />}
+
+      <h2 className="text-lg font-bold mb-2">{t('directions.title')}</h2>
+      <ol className="space-y-1 text-sm">
+        {route.maneuvers?.map((maneuver, index) => (
+          <li key={index} className="flex gap-2 border-b border-gray-200 py-1">
+            <span className="font-bold w-6">{index + 1}.</span>
+            <span className="flex-1">
+              {maneuver.instruction}
+              {maneuver.street && ` — ${maneuver.street}`}
+            </span>
+            {maneuver.distance > 0 && <span className="whitespace-nowrap">{formatDistance(maneuver.distance, tag)}</span>}
+          </li>
+        ))}
+      </ol>
+    </div>
+  )
+}
+
+export default RoutePrintView
@@ -0,0 +1,32 @@
+import { formatDistance, formatDuration } from '../lib/format'
+import { useI18n } from '../hooks/useI18n'
+
+// Per-leg and total distance/time for the route on the map
+const RouteSummary = ({ route }) => {
+  const { t, tag } = useI18n()
+  if (!route.legs || route.legs.length < 2) return null
+
+  return (
+    <div className="mt-3 pt-3 border-t border-red-100 w-64">
+      <p className="text-sm font-bold text-gray-700 mb-2">{t('routes.legs')}</p>
+      <ol className="space-y-1 text-xs text-gray-600">
+        {route.legs.map((leg, index) => (
+          <li key={index} className="flex justify-between gap-2">
+            <span className="truncate">{route.labels[index]} → {route.labels[index + 1]}</span>
+            <span className="font-semibold whitespace-nowrap">
+              {formatDistance(leg.distance, tag)} · {formatDuration(leg.duration, tag)}
+            </span>
+          </li>
+        ))}
+      </ol>
+      <div className="mt-2 pt-2 border-t border-red-100 flex justify-between text-sm">
+        <span className="font-bold text-gray-900">{t('routes.total')}</span>
+        <span className="font-black text-gray-900">
+          {formatDistance(route.distance, tag)} · {formatDuration(route.duration, tag)}
+        </span>
+      </div>
+    </div>
+  )
+}
+
+export default RouteSummary
@@ -0,0 +1,57 @@
+import { Car, Footprints, Bus, Bike } from 'lucide-react'
+import { ROUTING_MODES } from '../lib/routing'
+import { useI18n } from '../hooks/useI18n'
+
+const MODE_ICONS = {
+  auto: Car,
+  pedestrian: Footprints,
+  masstransit: Bus,
+  bicycle: Bike
+}
+
+// Travel mode buttons plus the traffic-aware toggle for driving
+const RoutingOptions = ({ mode, onModeChange, supportedModes, useTraffic, onTrafficChange, canUseTraffic }) => {
+  const { t } = useI18n()
+
+  return (
+    <div className="mb-3 w-64">
+      <div className="grid grid-cols-4 gap-1">
+        {ROUTING_MODES.map(({ id }) => {
+          const Icon = MODE_ICONS[id]
+          const isSupported = supportedModes.includes(id)
+          const title = t(`routing.mode.${id}`)
+          return (
+            <button
+              key={id}
+              onClick={() => onModeChange(id)}
+              disabled={!isSupported}
+              title={isSupported ? title : t('routing.unsupported', { mode: title })}
+              aria-pressed={mode === id}
+              className={`flex flex-col items-center gap-1 px-1 py-2 rounded-lg text-xs font-semibold transition-all disabled:opacity-40 disabled:cursor-not-allowed ${
+                mode === id
+                  ? 'bg-gradient-to-r from-red-600 to-orange-600 text-white'
+                  : 'bg-gray-50 text-gray-700 hover:bg-red-50'
+              }`}
+            >
+              <Icon className="w-4 h-4" />
+              {title}
+            </button>
+          )
+        })}
+      </div>
+      {canUseTraffic && (
+        <label className="mt-2 flex items-center gap-2 text-xs font-semibold text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={useTraffic}
+            onChange={(e) => onTrafficChange(e.target.checked)}
+            className="accent-red-600"
+          />
+          {t('routing.traffic')}
+        </label>
+      )}
+    </div>
+  )
+}
+
+export default RoutingOptions
@@ -0,0 +1,130 @@
+import { useState } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { PackageSearch, CheckCircle, Circle, AlertCircle, MapPin } from 'lucide-react'
+import { TRACKING_STATUSES, getStatusIndex } from '../lib/tracking'
+import { formatDateTime } from '../lib/format'
+import { useI18n } from '../hooks/useI18n'
+
+// Looks up a shipment in the given tracking source and renders its
+// status timeline. The parent decides what to do with the found shipment.
+const TrackingPanel = ({ source, onShipmentFound }) => {
+  const { t, tag } = useI18n()
+  const [trackingNumber, setTrackingNumber] = useState('')
+  const [shipment, setShipment] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  const handleTrack = () => {
+    if (!trackingNumber.trim()) {
+      setError('tracking.error.empty')
+      return
+    }
+
+    setIsLoading(true)
+    setError('')
+
+    source.lookup(trackingNumber).then(result => {
+      if (result) {
+        setShipment(result)
+        onShipmentFound(result)
+      } else {
+        setShipment(null)
+        setError('tracking.error.notFound')
+      }
+    }).catch(error => {
+      console.error('Tracking error:', error)
+      setShipment(null)
+      setError('tracking.error.failed')
+    }).finally(() => {
+      setIsLoading(false)
+    })
+  }
+
+  const currentIndex = shipment ? getStatusIndex(shipment.events[shipment.events.length - 1].status) : -1
+
+  return (
+    <div className="bg-white rounded-3xl shadow-2xl border-4 border-red-100 p-8 md:p-12">
+      <div className="flex gap-2 bg-white rounded-2xl border border-red-100 p-2">
+        <div className="flex-1 flex items-center gap-3 bg-gray-50 rounded-xl px-4">
+          <PackageSearch className="w-5 h-5 text-gray-400" />
+          <input
+            type="text"
+            value={trackingNumber}
+            onChange={(e) => setTrackingNumber(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleTrack()}
+            placeholder={t('tracking.placeholder')}
+            className="flex-1 bg-transparent py-4 text-gray-900 placeholder-gray-400 focus:outline-none font-medium"
+          />
+        </div>
+        <button
+          onClick={handleTrack}
+          disabled={isLoading}
+          className="bg-gradient-to-r from-red-600 to-orange-600 hover:from-red-700 hover:to-orange-700 disabled:from-gray-400 disabled:to-gray-500 text-white px-8 py-4 rounded-xl font-bold transition-all shadow-lg shadow-red-500/30 flex items-center gap-2"
+        >
+          {isLoading ? (
+            <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
+          ) : (
+            <PackageSearch className="w-5 h-5" />
+          )}
+          {t('tracking.submit')}
+        </button>
+      </div>
+
+      {error && (
+        <div className="mt-4 flex items-center gap-2 p-4 bg-red-50 border-2 border-red-200 rounded-xl">
+          <AlertCircle className="w-5 h-5 text-red-600" />
+          <p className="text-red-600 font-semibold">{t(error)}</p>
+        </div>
+      )}
+
+      <AnimatePresence mode="wait">
+        {shipment && (
+          <motion.div
+            key={shipment.trackingNumber}
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -20 }}
+            className="mt-8"
+          >
+            <div className="flex flex-wrap items-baseline justify-between gap-2 mb-6">
+              <p className="text-2xl font-black text-gray-900">{shipment.trackingNumber}</p>
+              <p className="text-gray-600 font-medium">{t('tracking.destination', { destination: shipment.destination })}</p>
+            </div>
+
+            <ol className="space-y-6">
+              {TRACKING_STATUSES.map((status, index) => {
+                const event = shipment.events.find(ev => ev.status === status.id)
+                const isDone = index <= currentIndex
+                return (
+                  <li key={status.id} className="flex items-start gap-4">
+                    {isDone ? (
+                      <CheckCircle className={`w-6 h-6 flex-shrink-0 ${index === currentIndex ? 'text-red-600' : 'text-green-600'}`} />
+                    ) : (
+                      <Circle className="w-6 h-6 flex-shrink-0 text-gray-300" />
+                    )}
+                    <div>
+                      <p className={`font-bold ${isDone ? 'text-gray-900' : 'text-gray-400'}`}>{t(`tracking.status.${status.id}`)}</p>
+                      {event && (
+                        <>
+                          {event.location && (
+                            <p className="text-sm text-gray-600 flex items-center gap-1">
+                              <MapPin className="w-3 h-3" />
+                              {event.location}
+                            </p>
+                          )}
+                          <p className="text-sm text-gray-500">{formatDateTime(event.timestamp, tag)}</p>
+                        </>
+                      )}
+                    </div>
+                  </li>
+                )
+              })}
+            </ol>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  )
+}
+
+export default TrackingPanel
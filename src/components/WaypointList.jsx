@@ -0,0 +1,115 @@
+import { useState } from 'react'
+import { GripVertical, Plus, Trash2, Shuffle, AlertCircle } from 'lucide-react'
+import { useI18n } from '../hooks/useI18n'
+
+// Drop-off stops after the office. Stops can be added (geocoded on add),
+// removed and reordered by dragging.
+const WaypointList = ({ stops, onChange, onOptimize, geocode }) => {
+  const { t } = useI18n()
+  const [query, setQuery] = useState('')
+  const [error, setError] = useState('')
+  const [isAdding, setIsAdding] = useState(false)
+  const [dragIndex, setDragIndex] = useState(null)
+
+  const handleAdd = () => {
+    if (!query.trim()) return
+
+    setIsAdding(true)
+    setError('')
+    geocode(query).then(location => {
+      if (!location) {
+        setError('waypoints.notFound')
+        return
+      }
+      onChange([...stops, { id: `${Date.now()}-${stops.length}`, location }])
+      setQuery('')
+    }).catch(error => {
+      console.error('Geocoding error:', error)
+      setError('waypoints.geocodeError')
+    }).finally(() => {
+      setIsAdding(false)
+    })
+  }
+
+  const handleDrop = (targetIndex) => {
+    if (dragIndex === null || dragIndex === targetIndex) return
+    const reordered = [...stops]
+    const [moved] = reordered.splice(dragIndex, 1)
+    reordered.splice(targetIndex, 0, moved)
+    setDragIndex(null)
+    onChange(reordered)
+  }
+
+  return (
+    <div className="mt-3 pt-3 border-t border-red-100 w-64">
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-sm font-bold text-gray-700">{t('waypoints.title')}</p>
+        {stops.length > 1 && (
+          <button
+            onClick={onOptimize}
+            className="text-xs text-red-600 hover:text-red-700 font-bold flex items-center gap-1"
+          >
+            <Shuffle className="w-3 h-3" />
+            {t('waypoints.optimize')}
+          </button>
+        )}
+      </div>
+
+      {stops.length > 0 && (
+        <ol className="flex flex-col gap-1 mb-2">
+          {stops.map((stop, index) => (
+            <li
+              key={stop.id}
+              draggable
+              onDragStart={() => setDragIndex(index)}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={() => handleDrop(index)}
+              onDragEnd={() => setDragIndex(null)}
+              className={`flex items-center gap-1 px-2 py-1 rounded-lg text-xs font-medium text-gray-700 bg-gray-50 ${
+                dragIndex === index ? 'opacity-50' : ''
+              }`}
+            >
+              <GripVertical className="w-3 h-3 text-gray-400 cursor-grab flex-shrink-0" />
+              <span className="font-bold text-red-600">{index + 1}.</span>
+              <span className="flex-1 truncate" title={stop.location.address}>{stop.location.address}</span>
+              <button
+                onClick={() => onChange(stops.filter(({ id }) => id !== stop.id))}
+                className="p-1 hover:bg-red-100 rounded"
+                aria-label={t('waypoints.remove')}
+              >
+                <Trash2 className="w-3 h-3 text-gray-500" />
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <div className="flex gap-1">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+          placeholder={t('waypoints.placeholder')}
+          className="flex-1 min-w-0 px-2 py-1 bg-gray-50 border border-red-100 rounded-lg text-sm text-gray-900 focus:outline-none focus:border-red-500 font-medium"
+        />
+        <button
+          onClick={handleAdd}
+          disabled={isAdding}
+          className="bg-red-600 hover:bg-red-700 disabled:bg-gray-400 text-white p-1.5 rounded-lg"
+          aria-label={t('waypoints.add')}
+        >
+          <Plus className="w-4 h-4" />
+        </button>
+      </div>
+      {error && (
+        <p className="mt-1 text-xs text-red-600 font-medium flex items-center gap-1">
+          <AlertCircle className="w-3 h-3" />
+          {t(error)}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default WaypointList
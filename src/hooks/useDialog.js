@@ -0,0 +1,54 @@
+import { useEffect, useRef } from 'react'
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])'
+
+// Modal dialog behaviour for the element the returned ref is attached to:
+// focus moves into it on open, Tab cycles inside it, Escape calls onClose
+// and focus goes back to whatever was focused before it opened.
+export const useDialog = (isOpen, onClose) => {
+  const dialogRef = useRef(null)
+  const onCloseRef = useRef(onClose)
+  onCloseRef.current = onClose
+
+  useEffect(() => {
+    if (!isOpen) return
+
+    const returnFocusTo = document.activeElement
+    const getFocusable = () => [...dialogRef.current.querySelectorAll(FOCUSABLE)]
+    const [first] = getFocusable()
+    ;(first || dialogRef.current).focus()
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault()
+        onCloseRef.current()
+        return
+      }
+      if (e.key !== 'Tab') return
+
+      const focusable = getFocusable()
+      if (focusable.length === 0) {
+        e.preventDefault()
+        return
+      }
+      const firstElement = focusable[0]
+      const lastElement = focusable[focusable.length - 1]
+      const isInside = dialogRef.current.contains(document.activeElement)
+      if (e.shiftKey && (document.activeElement === firstElement || !isInside)) {
+        e.preventDefault()
+        lastElement.focus()
+      } else if (!e.shiftKey && (document.activeElement === lastElement || !isInside)) {
+        e.preventDefault()
+        firstElement.focus()
+      }
+    }
+    document.addEventListener('keydown', handleKeyDown)
+
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown)
+      if (returnFocusTo && document.contains(returnFocusTo)) returnFocusTo.focus()
+    }
+  }, [isOpen])
+
+  return dialogRef
+}
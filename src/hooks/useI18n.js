@@ -0,0 +1,6 @@
+import { createContext, useContext } from 'react'
+
+export const I18nContext = createContext(null)
+
+// { locale, tag, mapLang, setLocale, t } for the selected language
+export const useI18n = () => useContext(I18nContext)
@@ -0,0 +1,13 @@
+import { useState, useEffect } from 'react'
+
+// Current time, refreshed every `interval` ms so time-based labels stay live
+export const useNow = (interval = 60000) => {
+  const [now, setNow] = useState(() => new Date())
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), interval)
+    return () => clearInterval(timer)
+  }, [interval])
+
+  return now
+}
@@ -0,0 +1,33 @@
+// Cheap bot filters applied before anything reaches the backend, so spam
+// does not use up the form service's quota.
+
+// Hidden input people never see; bots that fill every field fill it too
+export const HONEYPOT_FIELD = 'botcheck'
+
+// Nobody types a message this fast
+export const MIN_FILL_TIME = 3000
+
+export const SUBMIT_COOLDOWN = 60000
+
+const COOLDOWN_KEY = 'contactCooldownUntil'
+
+export const isLikelyBot = (formData, startedAt) =>
+  Boolean(formData.get(HONEYPOT_FIELD)) || Date.now() - startedAt < MIN_FILL_TIME
+
+// Milliseconds left before another message may be sent. Kept in storage so
+// reloading the page does not reset it.
+export const getCooldownLeft = () => {
+  try {
+    return Math.max(0, Number(localStorage.getItem(COOLDOWN_KEY)) - Date.now())
+  } catch {
+    return 0
+  }
+}
+
+export const startCooldown = () => {
+  try {
+    localStorage.setItem(COOLDOWN_KEY, String(Date.now() + SUBMIT_COOLDOWN))
+  } catch {
+    // Without storage the cooldown simply does not apply
+  }
+}
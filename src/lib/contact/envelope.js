@@ -0,0 +1,15 @@
+// Where a contact message goes and how it is labelled. Messages about a
+// specific office go to that office's inbox; the rest go to the backend's
+// default one. Tags are stable ids ([claim/paris]) so inbox filters can
+// rely on them whatever the page language.
+export const createEnvelope = ({ topic, office: officeId }, offices, t) => {
+  const office = offices.find(({ id }) => id === officeId)
+  const tags = [topic, office?.id].filter(Boolean)
+  const title = [t(`contact.topic.${topic}`), office?.city].filter(Boolean).join(' · ')
+
+  return {
+    to: office?.email,
+    subject: `[${tags.join('/')}] ${title}`,
+    tags
+  }
+}
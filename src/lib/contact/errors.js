@@ -0,0 +1,23 @@
+export const SUBMISSION_ERRORS = {
+  rejected: 'rejected',
+  network: 'network'
+}
+
+// Error for a failed submission. `reason` is one of SUBMISSION_ERRORS and
+// `fieldErrors` maps form field names to the server's message for them.
+export const createSubmissionError = (reason, message, fieldErrors = {}) => {
+  const error = new Error(message || 'Submission failed')
+  error.reason = reason
+  error.serverMessage = message || ''
+  error.fieldErrors = fieldErrors
+  return error
+}
+
+// fetch() only rejects when the request never completed
+export const postForm = (url, options) =>
+  fetch(url, { method: 'POST', ...options }).catch((error) => {
+    throw createSubmissionError(SUBMISSION_ERRORS.network, error.message)
+  })
+
+// Error bodies are often not JSON (proxies, HTML error pages)
+export const readJson = (response) => response.json().catch(() => ({}))
@@ -0,0 +1,45 @@
+import { createWeb3FormsBackend } from './web3forms'
+import { createWebhookBackend } from './webhook'
+import { createMailtoBackend } from './mailto'
+import { createMockBackend } from './mock'
+
+export { SUBMISSION_ERRORS } from './errors'
+export { CONTACT_TOPICS, ATTACHMENT_TYPES, CONTACT_LIMITS, getFormFields, validateContactFields } from './validation'
+export { createEnvelope } from './envelope'
+export { HONEYPOT_FIELD, isLikelyBot, getCooldownLeft, startCooldown } from './antispam'
+export { isQueueSupported, queueSubmission, getQueuedCount, flushQueue } from './queue'
+
+// Every backend exposes submit(formData, { to, subject, tags }) -> Promise
+// that resolves once the message is accepted and otherwise rejects with an
+// Error carrying `reason` (one of SUBMISSION_ERRORS), `serverMessage` and
+// `fieldErrors`. `to` is the office inbox the message is meant for, when
+// there is one.
+// A backend without its setting is a configuration fault, reported when the
+// backend is created rather than as a rejected message
+const requireSetting = (name, value) => {
+  if (!value) {
+    throw new Error(`${name} is not set`)
+  }
+  return value
+}
+
+const BACKENDS = {
+  web3forms: () => createWeb3FormsBackend({
+    accessKey: requireSetting('VITE_WEB3FORMS_ACCESS_KEY', import.meta.env.VITE_WEB3FORMS_ACCESS_KEY)
+  }),
+  webhook: () => createWebhookBackend({
+    url: requireSetting('VITE_CONTACT_WEBHOOK_URL', import.meta.env.VITE_CONTACT_WEBHOOK_URL)
+  }),
+  mailto: () => createMailtoBackend({
+    email: requireSetting('VITE_CONTACT_EMAIL', import.meta.env.VITE_CONTACT_EMAIL)
+  }),
+  mock: () => createMockBackend()
+}
+
+export const createContactBackend = (name = import.meta.env.VITE_CONTACT_BACKEND || 'web3forms') => {
+  const factory = BACKENDS[name]
+  if (!factory) {
+    throw new Error(`Unknown contact backend: ${name}`)
+  }
+  return factory()
+}
@@ -0,0 +1,16 @@
+// No server at all: opens the visitor's mail client with the message filled
+// in. Whether it is actually sent is up to them, so this always succeeds.
+// A mailto: link cannot carry files, so attachments are only listed by name
+// for the visitor to attach by hand.
+export const createMailtoBackend = ({ email, subject: defaultSubject = 'Express Delivery' }) => ({
+  submit: async (formData, { to, subject } = {}) => {
+    const lines = []
+    formData.forEach((value, name) => {
+      const text = value instanceof File ? value.name : value.trim()
+      if (text) lines.push(`${name}: ${text}`)
+    })
+    const params = new URLSearchParams({ subject: subject || defaultSubject, body: lines.join('\n') })
+    // URLSearchParams encodes spaces as "+", which mail clients keep
+    window.location.href = `mailto:${to || email}?${params.toString().replace(/\+/g, '%20')}`
+  }
+})
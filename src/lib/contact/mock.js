@@ -0,0 +1,21 @@
+import { SUBMISSION_ERRORS, createSubmissionError } from './errors'
+import { getFormFields } from './validation'
+
+// Local backend for development: waits a moment and accepts the submission.
+// Addresses on the reserved .invalid domain are rejected with a field error,
+// so the error path can be tried without a server.
+export const createMockBackend = ({ delay = 800 } = {}) => ({
+  submit: (formData) =>
+    new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const fields = getFormFields(formData)
+        if (String(fields.email || '').endsWith('.invalid')) {
+          reject(createSubmissionError(SUBMISSION_ERRORS.rejected, 'Mock backend rejected the submission', {
+            email: 'This address cannot receive mail'
+          }))
+          return
+        }
+        resolve()
+      }, delay)
+    })
+})
@@ -0,0 +1,78 @@
+import { SUBMISSION_ERRORS } from './errors'
+
+// Submissions that failed for lack of a connection wait in IndexedDB until
+// they can be replayed. FormData cannot be stored, so entries keep its
+// [name, value] pairs; attached files are stored as they are.
+const DB_NAME = 'express-delivery'
+const DB_VERSION = 1
+const STORE = 'contactQueue'
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result)
+  req.onerror = () => reject(req.error)
+})
+
+let dbRequest = null
+
+const openDb = () => {
+  if (!dbRequest) {
+    const req = indexedDB.open(DB_NAME, DB_VERSION)
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true })
+    dbRequest = request(req).catch(error => {
+      dbRequest = null
+      throw error
+    })
+  }
+  return dbRequest
+}
+
+const withStore = (mode, action) =>
+  openDb().then(db => request(action(db.transaction(STORE, mode).objectStore(STORE))))
+
+export const isQueueSupported = () => typeof indexedDB !== 'undefined'
+
+export const queueSubmission = (formData, envelope) =>
+  withStore('readwrite', store => store.add({
+    entries: [...formData.entries()],
+    envelope,
+    queuedAt: Date.now()
+  }))
+
+export const getQueuedCount = () => withStore('readonly', store => store.count())
+
+const toFormData = (entries) => {
+  const formData = new FormData()
+  entries.forEach(([name, value]) => formData.append(name, value))
+  return formData
+}
+
+let flushing = null
+
+// Sends queued submissions oldest first through `backend`. A network error
+// stops the run and keeps the rest for later; a submission the backend
+// rejects is dropped, as resending it would fail the same way. Resolves to
+// { sent, dropped } counts. Runs never overlap, so nothing is sent twice.
+export const flushQueue = (backend) => {
+  if (!flushing) {
+    flushing = withStore('readonly', store => store.getAll())
+      .then(async (items) => {
+        const result = { sent: 0, dropped: 0 }
+        for (const item of items) {
+          try {
+            await backend.submit(toFormData(item.entries), item.envelope)
+            result.sent++
+          } catch (error) {
+            if (error.reason === SUBMISSION_ERRORS.network) break
+            console.error('Queued contact submission rejected:', error)
+            result.dropped++
+          }
+          await withStore('readwrite', store => store.delete(item.id))
+        }
+        return result
+      })
+      .finally(() => {
+        flushing = null
+      })
+  }
+  return flushing
+}
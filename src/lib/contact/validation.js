@@ -0,0 +1,84 @@
+import { normalizePhone } from '../phone'
+
+export const CONTACT_TOPICS = ['quote', 'claim', 'tracking', 'partnership']
+
+// Waybill photos and invoice PDFs; sizes are in megabytes
+export const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'application/pdf']
+
+export const CONTACT_LIMITS = {
+  name: { max: 100 },
+  email: { max: 254 },
+  message: { min: 10, max: 2000 },
+  attachments: { maxFiles: 3, maxSize: 5 }
+}
+
+const MEGABYTE = 1024 * 1024
+
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/
+
+// Each check returns a catalogue key, or nothing when the value is fine.
+// Keys are translated with the field's CONTACT_LIMITS as parameters.
+const CHECKS = {
+  name: (value) => {
+    if (!value) return 'contact.error.nameRequired'
+    if (value.length > CONTACT_LIMITS.name.max) return 'contact.error.nameLength'
+  },
+  email: (value) => {
+    if (!value) return 'contact.error.emailRequired'
+    if (value.length > CONTACT_LIMITS.email.max || !EMAIL_PATTERN.test(value)) return 'contact.error.email'
+  },
+  phone: (value, { country }) => {
+    if (value && !normalizePhone(value, country)) return 'contact.error.phone'
+  },
+  topic: (value) => {
+    if (!CONTACT_TOPICS.includes(value)) return 'contact.error.topic'
+  },
+  message: (value) => {
+    if (!value) return 'contact.error.messageRequired'
+    const { min, max } = CONTACT_LIMITS.message
+    if (value.length < min || value.length > max) return 'contact.error.messageLength'
+  },
+  attachments: (files) => {
+    const { maxFiles, maxSize } = CONTACT_LIMITS.attachments
+    if (files.length > maxFiles) return 'contact.error.attachmentCount'
+    if (files.some(file => !ATTACHMENT_TYPES.includes(file.type))) return 'contact.error.attachmentType'
+    if (files.some(file => file.size > maxSize * MEGABYTE)) return 'contact.error.attachmentSize'
+  }
+}
+
+const NORMALIZERS = {
+  phone: (value, { country }) => (value ? normalizePhone(value, country) : '')
+}
+
+// Plain object of the form's fields. Multi-value fields (file inputs) become
+// arrays, without the empty file browsers send when nothing was picked.
+export const getFormFields = (formData) => {
+  const fields = {}
+  new Set(formData.keys()).forEach((name) => {
+    const values = formData.getAll(name)
+    fields[name] = values.some(value => value instanceof File)
+      ? values.filter(file => file.size > 0)
+      : values[0]
+  })
+  return fields
+}
+
+// Checks the given fields (all of them on submit, one on blur) and returns
+// `errors` by field plus the trimmed `values`, with the phone in E.164.
+// National phone numbers are read as numbers in `country`.
+export const validateContactFields = (fields, { country } = {}) => {
+  const errors = {}
+  const values = {}
+
+  Object.entries(fields).forEach(([name, raw]) => {
+    const value = typeof raw === 'string' ? raw.trim() : raw
+    const error = CHECKS[name]?.(value, { country })
+    if (error) {
+      errors[name] = error
+    } else {
+      values[name] = NORMALIZERS[name] ? NORMALIZERS[name](value, { country }) : value
+    }
+  })
+
+  return { errors, values }
+}
@@ -0,0 +1,24 @@
+import { SUBMISSION_ERRORS, createSubmissionError, postForm, readJson } from './errors'
+
+const ENDPOINT = 'https://api.web3forms.com/submit'
+
+// Web3Forms (https://web3forms.com): the form is posted as is, together with
+// the site's public access key. Mail goes to the inbox the key belongs to;
+// the envelope recipient is copied in through `ccemail` and attachments are
+// uploaded with the form, both of which need a paid plan. Failures only
+// come with a message.
+export const createWeb3FormsBackend = ({ accessKey }) => ({
+  submit: async (formData, { to, subject } = {}) => {
+    const body = new FormData()
+    formData.forEach((value, name) => body.append(name, value))
+    body.append('access_key', accessKey)
+    if (subject) body.append('subject', subject)
+    if (to) body.append('ccemail', to)
+
+    const response = await postForm(ENDPOINT, { body })
+    const data = await readJson(response)
+    if (!data.success) {
+      throw createSubmissionError(SUBMISSION_ERRORS.rejected, data.message)
+    }
+  }
+})
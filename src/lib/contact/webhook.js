@@ -0,0 +1,43 @@
+import { SUBMISSION_ERRORS, createSubmissionError, postForm, readJson } from './errors'
+
+const toFieldErrors = (errors = {}) =>
+  Object.fromEntries(Object.entries(errors).map(([name, messages]) => [name, [].concat(messages).join(' ')]))
+
+// btoa() needs a binary string; building it in chunks keeps the argument
+// list of String.fromCharCode within engine limits
+const encodeFile = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer())
+  let binary = ''
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000))
+  }
+  return { name: file.name, type: file.type, size: file.size, content: btoa(binary) }
+}
+
+// Posts the fields as a JSON object to any endpoint, together with the
+// envelope (`to`, `subject`, `tags`) and `attachments` as
+// [{ name, type, size, content }] with base64 content. A 2xx response is a
+// success; otherwise the body may explain why:
+//   { "message": "...", "errors": { "<field>": "<message>" | ["<message>", ...] } }
+export const createWebhookBackend = ({ url }) => ({
+  submit: async (formData, envelope = {}) => {
+    const fields = {}
+    const files = []
+    formData.forEach((value, name) => {
+      if (value instanceof File) {
+        files.push(value)
+      } else {
+        fields[name] = value
+      }
+    })
+
+    const response = await postForm(url, {
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({ ...fields, ...envelope, attachments: await Promise.all(files.map(encodeFile)) })
+    })
+    if (response.ok) return
+
+    const data = await readJson(response)
+    throw createSubmissionError(SUBMISSION_ERRORS.rejected, data.message, toFieldErrors(data.errors))
+  }
+})
@@ -0,0 +1,32 @@
+import { ROUTING_MODES } from './routing'
+
+// The part of the page state that can be shared as a link:
+//   ?q=<search>&office=<office id>&route=1&mode=<routing mode>
+// `office` is the route target when `route` is set and the opened office
+// card otherwise.
+export const EMPTY_LINK = { query: '', officeId: null, route: false, mode: 'auto' }
+
+export const parseDeepLink = (search) => {
+  const params = new URLSearchParams(search)
+  const mode = params.get('mode')
+
+  return {
+    query: (params.get('q') || '').trim(),
+    officeId: params.get('office'),
+    route: params.get('route') === '1',
+    mode: ROUTING_MODES.some(({ id }) => id === mode) ? mode : EMPTY_LINK.mode
+  }
+}
+
+export const buildDeepLink = ({ query, officeId, route, mode }) => {
+  const params = new URLSearchParams()
+  if (query) params.set('q', query)
+  if (officeId) params.set('office', officeId)
+  if (route) {
+    params.set('route', '1')
+    params.set('mode', mode)
+  }
+
+  const search = params.toString()
+  return search ? `?${search}` : ''
+}
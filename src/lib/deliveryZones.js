@@ -0,0 +1,92 @@
+import rawZones from '../data/delivery-zones.geo.json'
+import { offices } from './offices'
+
+// Tier 1 is the office's own city; higher tiers reach further out and take
+// longer. Tiers of one office overlap, so the lowest matching tier wins.
+export const ZONE_TIERS = [1, 2, 3]
+
+const isRange = (value) =>
+  Array.isArray(value) && value.length === 2 && value.every(Number.isFinite) && value[0] > 0 && value[0] <= value[1]
+
+const isPosition = (position) =>
+  Array.isArray(position) && position.length >= 2 && position.every(Number.isFinite)
+
+// A closed ring: at least four positions, the last repeating the first
+const isRing = (ring) =>
+  Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition) &&
+  ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1]
+
+const getPolygons = ({ type, coordinates } = {}) => {
+  if (type === 'Polygon') return [coordinates]
+  if (type === 'MultiPolygon') return coordinates
+  return null
+}
+
+// Returns a list of problems with one zone feature; empty when valid.
+export const validateZone = (feature) => {
+  const errors = []
+  const { office, tier, days, hours } = feature.properties || {}
+
+  if (!offices.some(({ id }) => id === office)) errors.push('properties.office must be a known office id')
+  if (!ZONE_TIERS.includes(tier)) errors.push(`properties.tier must be one of ${ZONE_TIERS.join(', ')}`)
+  if (!isRange(days) && !isRange(hours)) errors.push('properties.days or properties.hours must be a [min, max] range')
+
+  const polygons = getPolygons(feature.geometry)
+  if (!polygons) {
+    errors.push('geometry must be a Polygon or MultiPolygon')
+  } else if (!Array.isArray(polygons) || polygons.some(rings => !Array.isArray(rings) || !rings.length || !rings.every(isRing))) {
+    errors.push('geometry rings must be closed lists of [lon, lat] positions')
+  }
+  return errors
+}
+
+// GeoJSON positions are [lon, lat]; zones keep [lat, lon] like the rest of
+// the app. Each polygon is a list of rings: the outline, then any holes.
+export const parseZones = (collection) => {
+  const features = collection?.features || []
+  const problems = features.flatMap((feature, index) =>
+    validateZone(feature).map(error => `features[${index}]: ${error}`)
+  )
+  if (problems.length) {
+    throw new Error(`Invalid delivery zones:\n${problems.join('\n')}`)
+  }
+
+  return features.map(({ properties, geometry }) => ({
+    officeId: properties.office,
+    tier: properties.tier,
+    days: properties.days,
+    hours: properties.hours,
+    polygons: getPolygons(geometry).map(rings => rings.map(ring => ring.map(([lon, lat]) => [lat, lon])))
+  }))
+}
+
+export const zones = parseZones(rawZones)
+
+// Ray casting; fine at city scale where the earth's curvature does not matter
+const isInRing = ([lat, lon], ring) => {
+  let isInside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [latI, lonI] = ring[i]
+    const [latJ, lonJ] = ring[j]
+    if ((latI > lat) !== (latJ > lat) && lon < ((lonJ - lonI) * (lat - latI)) / (latJ - latI) + lonI) {
+      isInside = !isInside
+    }
+  }
+  return isInside
+}
+
+const isInPolygon = (coords, [outline, ...holes]) =>
+  isInRing(coords, outline) && !holes.some(hole => isInRing(coords, hole))
+
+// The zone serving `coords`, or null when the address is out of coverage
+export const findDeliveryZone = (coords, list = zones) =>
+  list
+    .filter(zone => zone.polygons.some(polygon => isInPolygon(coords, polygon)))
+    .sort((a, b) => a.tier - b.tier)[0] || null
+
+// Named map colours for the overlay, nearest tier first
+export const TIER_COLORS = {
+  1: 'green',
+  2: 'orange',
+  3: 'red'
+}
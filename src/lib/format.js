@@ -0,0 +1,43 @@
+import { PHONE_COUNTRIES, getRegion } from './phone'
+
+// Numbers, units and dates follow the BCP 47 `tag` of the page language
+
+const formatUnit = (value, unit, tag) =>
+  new Intl.NumberFormat(tag, { style: 'unit', unit, unitDisplay: 'short', maximumFractionDigits: 0 }).format(value)
+
+export const formatDistance = (metres, tag = 'ru-RU') =>
+  metres < 1000 ? formatUnit(metres, 'meter', tag) : formatUnit(metres / 1000, 'kilometer', tag)
+
+// Rounded to whole minutes before splitting, so 119.6 min reads "2 h 0 min"
+export const formatDuration = (seconds, tag = 'ru-RU') => {
+  const totalMinutes = Math.round(seconds / 60)
+  const hours = Math.floor(totalMinutes / 60)
+  const minutes = formatUnit(totalMinutes % 60, 'minute', tag)
+  return hours ? `${formatUnit(hours, 'hour', tag)} ${minutes}` : minutes
+}
+
+export const formatDateTime = (timestamp, tag = 'ru-RU') =>
+  new Date(timestamp).toLocaleString(tag, {
+    day: 'numeric',
+    month: 'long',
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+
+// Calendar date given as YYYY-MM-DD, read as is rather than in the
+// visitor's timezone: 'Monday, 19 October'
+export const formatDate = (isoDate, tag = 'ru-RU') =>
+  new Date(`${isoDate}T00:00:00Z`).toLocaleDateString(tag, {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    timeZone: 'UTC'
+  })
+
+// Office phones are stored in international format. Visitors whose locale
+// is in the office's country get the national form with the trunk 0.
+export const formatPhone = (phone, country, tag = 'ru-RU') => {
+  const code = PHONE_COUNTRIES[country]?.code
+  if (!code || getRegion(tag) !== country || !phone.startsWith(`+${code} `)) return phone
+  return `0${phone.slice(code.length + 2)}`
+}
@@ -0,0 +1,4 @@
+// Geocodes a free-text address with the active map provider.
+// Resolves with the first match, or null when nothing was found.
+export const geocodeAddress = (provider, query) =>
+  provider.geocode(query, { results: 1 }).then(([location]) => location || null)
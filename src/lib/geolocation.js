@@ -0,0 +1,34 @@
+export const GEOLOCATION_ERRORS = {
+  unsupported: 'unsupported',
+  denied: 'denied',
+  unavailable: 'unavailable',
+  timeout: 'timeout'
+}
+
+const ERROR_CODES = {
+  1: GEOLOCATION_ERRORS.denied,
+  2: GEOLOCATION_ERRORS.unavailable,
+  3: GEOLOCATION_ERRORS.timeout
+}
+
+// Promise wrapper around the Geolocation API. Rejects with an Error whose
+// `reason` is one of GEOLOCATION_ERRORS.
+export const getCurrentPosition = ({ timeout = 10000, maximumAge = 60000 } = {}) =>
+  new Promise((resolve, reject) => {
+    if (!('geolocation' in navigator)) {
+      const error = new Error('Geolocation is not supported')
+      error.reason = GEOLOCATION_ERRORS.unsupported
+      reject(error)
+      return
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => resolve([coords.latitude, coords.longitude]),
+      (positionError) => {
+        const error = new Error(positionError.message)
+        error.reason = ERROR_CODES[positionError.code] || GEOLOCATION_ERRORS.unavailable
+        reject(error)
+      },
+      { enableHighAccuracy: true, timeout, maximumAge }
+    )
+  })
@@ -0,0 +1,64 @@
+import ru from '../locales/ru'
+import en from '../locales/en'
+import fr from '../locales/fr'
+
+// `tag` feeds Intl and <html lang>; `mapLang` is the Yandex Maps `lang`
+// parameter, which has no French, so French pages get English map labels
+export const LOCALES = [
+  { id: 'ru', label: 'RU', name: 'Русский', tag: 'ru-RU', mapLang: 'ru_RU' },
+  { id: 'en', label: 'EN', name: 'English', tag: 'en-GB', mapLang: 'en_US' },
+  { id: 'fr', label: 'FR', name: 'Français', tag: 'fr-FR', mapLang: 'en_US' }
+]
+
+export const DEFAULT_LOCALE = 'ru'
+
+const CATALOGUES = { ru, en, fr }
+const STORAGE_KEY = 'locale'
+
+export const getLocale = (id) => LOCALES.find(locale => locale.id === id) || getLocale(DEFAULT_LOCALE)
+
+// Saved choice first, then the browser's preferred languages
+export const detectLocale = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY)
+    if (CATALOGUES[saved]) return saved
+  } catch {
+    // Storage can be unavailable in private mode; fall through
+  }
+
+  const preferred = (navigator.languages || [navigator.language])
+    .map(tag => (tag || '').slice(0, 2).toLowerCase())
+    .find(id => CATALOGUES[id])
+  return preferred || DEFAULT_LOCALE
+}
+
+export const saveLocale = (id) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, id)
+  } catch {
+    // Not persisting the choice is fine
+  }
+}
+
+const interpolate = (message, params) =>
+  message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match))
+
+// Messages are strings with {placeholders}. Messages that depend on a number
+// are objects keyed by Intl.PluralRules category and read `params.count`.
+// Missing keys fall back to the default catalogue, then to the key itself.
+export const createTranslator = (id) => {
+  const messages = CATALOGUES[id] || CATALOGUES[DEFAULT_LOCALE]
+  const plurals = new Intl.PluralRules(getLocale(id).tag)
+
+  return (key, params = {}) => {
+    let message = messages[key] ?? CATALOGUES[DEFAULT_LOCALE][key]
+    if (message === undefined) {
+      if (import.meta.env.DEV) console.warn(`Missing translation: ${key}`)
+      return key
+    }
+    if (typeof message === 'object') {
+      message = message[plurals.select(params.count)] ?? message.other
+    }
+    return interpolate(message, params)
+  }
+}
@@ -0,0 +1,35 @@
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}
+
+export const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+
+// Markers describe their balloon as data, { title, lines }, where a line is
+// a string or a { label, value } pair; only this module turns it into HTML,
+// so office data, addresses and user input are always escaped. Returns the
+// header and body the SDKs expect, or null when there is nothing to show.
+export const renderBalloon = (balloon) => {
+  if (!balloon) return null
+
+  const { title, lines = [] } = balloon
+  const renderLine = (line) => typeof line === 'string'
+    ? escapeHtml(line)
+    : `<strong>${escapeHtml(line.label)}:</strong> ${escapeHtml(line.value)}`
+
+  return {
+    header: title ? `<strong class="text-lg">${escapeHtml(title)}</strong>` : '',
+    body: lines.length > 0
+      ? `<div class="p-2">${lines.map(line => `<p class="mb-2">${renderLine(line)}</p>`).join('')}</div>`
+      : ''
+  }
+}
+
+// Header and body in one string, for SDKs with a single content slot
+export const renderBalloonHtml = (balloon) => {
+  const content = renderBalloon(balloon)
+  return content && `${content.header}${content.body}`
+}
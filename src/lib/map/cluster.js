@@ -0,0 +1,24 @@
+// Grid clustering for providers without a built-in clusterer. Markers whose
+// projected points share a `cellSize` pixel cell are merged into one
+// cluster placed at their average position. Linear in the number of
+// markers, so re-clustering on every zoom stays cheap.
+export const clusterMarkers = (markers, project, cellSize = 60) => {
+  const cells = new Map()
+  markers.forEach(marker => {
+    const [x, y] = project(marker.coords)
+    const key = `${Math.floor(x / cellSize)}:${Math.floor(y / cellSize)}`
+    if (!cells.has(key)) cells.set(key, [])
+    cells.get(key).push(marker)
+  })
+
+  return [...cells.values()].map(group => ({
+    markers: group,
+    coords: [
+      group.reduce((sum, { coords }) => sum + coords[0], 0) / group.length,
+      group.reduce((sum, { coords }) => sum + coords[1], 0) / group.length
+    ]
+  }))
+}
+
+// Colour of a marker hovered in the office list
+export const HIGHLIGHT_COLOR = 'blue'
@@ -0,0 +1,52 @@
+import { createYandexProvider } from './yandex'
+import { createLeafletProvider } from './leaflet'
+import { createStubProvider } from './stub'
+
+// Every provider exposes the same surface:
+//   load() -> Promise, resolved once the SDK is ready
+//   createMap(container, { center, zoom }) -> map view
+//   geocode(query, { results, signal }) -> Promise<[{ coords, bounds, address, countryCode }]>
+//   reverseGeocode(coords) -> Promise<location | null>
+//   route(from, to) -> Promise<{ distance, duration }>
+// and a map view offers addLayer, addPolygon, addClusterLayer, showRoute,
+// onClick, getBounds, onBoundsChange, setCenter, setBounds and destroy.
+// addLayer() returns a marker layer with setMarkers(markers), clear() and
+// remove(); setMarkers diffs by marker `id` (see layer.js). Markers accept a `type` (office, search, tracking), a
+// named colour (red, green, orange, gray), a plain-text `hint` and a
+// `balloon` described as data (see balloon.js), never as HTML.
+// addPolygon(rings, { color }) draws a translucent overlay that lets clicks
+// through and returns a handle with remove(); rings are the outline
+// followed by any holes. addClusterLayer({ onClick }) returns a layer of
+// markers with ids, clustered at low zoom, offering setMarkers(markers),
+// highlight(id) and remove(); onClick gets the id. Layers, overlays and
+// routes are independent, so removing one never redraws the others.
+// getBounds() and onBoundsChange(handler) report the visible area as
+// [[south, west], [north, east]]; the latter returns an unsubscribe function.
+// onClick(handler) calls handler(coords, { isLongPress }) and returns an
+// unsubscribe function. showRoute(points, { mode, avoidTrafficJams,
+// onChange, onError }) reports the active route's { distance, duration, legs,
+// transfers, maneuvers, path } plus every alternative in `routes` and the
+// `activeIndex`; maneuvers are { instruction, street, distance } and path is
+// the route line. The handle offers remove() and setActiveRoute(index).
+// For printing, a provider may offer getStaticMapUrl({ path, stops, width,
+// height }), an image of the route or null, or a `tileUrl` template
+// ({z}/{x}/{y}) with its `tileAttribution` to lay tiles under the route.
+// Providers list the modes they can route in `supportedModes` and flag
+// `supportsTraffic`, and `supportsSuggestions` when their geocoder may be
+// queried while the visitor types.
+// Coordinates are always [lat, lon].
+const PROVIDERS = {
+  yandex: createYandexProvider,
+  leaflet: createLeafletProvider,
+  stub: createStubProvider
+}
+
+// `options` carry the page language: { locale, mapLang, t }. Providers use
+// it for map labels, geocoder results and route directions.
+export const createMapProvider = (options, name = import.meta.env.VITE_MAP_PROVIDER || 'yandex') => {
+  const factory = PROVIDERS[name]
+  if (!factory) {
+    throw new Error(`Unknown map provider: ${name}`)
+  }
+  return factory(options)
+}
@@ -0,0 +1,35 @@
+// Keyed marker collection on top of a provider's own addMarker. Each
+// setMarkers(markers) call is diffed against the previous one by `id`:
+// markers that stay in place are updated, moved ones are re-created and the
+// rest added or removed, so a redraw only touches what changed. onClick is
+// bound when a marker is created.
+export const createMarkerLayer = (addMarker) => {
+  const entries = new Map()
+
+  const clear = () => {
+    entries.forEach(({ handle }) => handle.remove())
+    entries.clear()
+  }
+
+  const setMarkers = (markers) => {
+    const ids = new Set(markers.map(({ id }) => id))
+    entries.forEach(({ handle }, id) => {
+      if (ids.has(id)) return
+      handle.remove()
+      entries.delete(id)
+    })
+
+    markers.forEach(({ id, coords, ...options }) => {
+      const entry = entries.get(id)
+      if (entry && entry.coords.join() === coords.join() && entry.type === options.type) {
+        // Options left out are cleared rather than kept
+        entry.handle.update({ hint: '', balloon: null, ...options })
+        return
+      }
+      entry?.handle.remove()
+      entries.set(id, { coords, type: options.type, handle: addMarker(coords, options) })
+    })
+  }
+
+  return { setMarkers, clear }
+}
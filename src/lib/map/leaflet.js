@@ -0,0 +1,375 @@
+import { clusterMarkers, HIGHLIGHT_COLOR } from './cluster'
+import { escapeHtml, renderBalloonHtml } from './balloon'
+import { createMarkerLayer } from './layer'
+
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org'
+const TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png'
+// FOSSGIS hosts OSRM with car, foot and bike profiles; there is no
+// public transport router, so that mode is not offered here
+const OSRM_URLS = {
+  auto: 'https://routing.openstreetmap.de/routed-car/route/v1/driving',
+  pedestrian: 'https://routing.openstreetmap.de/routed-foot/route/v1/driving',
+  bicycle: 'https://routing.openstreetmap.de/routed-bike/route/v1/driving'
+}
+
+const MARKER_STYLES = {
+  office: { color: '#b91c1c', fillColor: '#ef4444', radius: 10 },
+  search: { color: '#15803d', fillColor: '#4ade80', radius: 8 },
+  tracking: { color: '#1d4ed8', fillColor: '#3b82f6', radius: 9 }
+}
+
+const COLORS = {
+  red: { color: '#b91c1c', fillColor: '#ef4444' },
+  green: { color: '#15803d', fillColor: '#22c55e' },
+  orange: { color: '#c2410c', fillColor: '#f97316' },
+  gray: { color: '#4b5563', fillColor: '#9ca3af' },
+  blue: { color: '#1d4ed8', fillColor: '#3b82f6' }
+}
+
+const CLUSTER_SIZE = 36
+
+// OSRM and Nominatim speak [lon, lat]; the rest of the app uses [lat, lon]
+const toLonLat = ([lat, lon]) => `${lon},${lat}`
+
+const TURN_MODIFIERS = ['left', 'right', 'slight left', 'slight right', 'sharp left', 'sharp right']
+
+// OSRM returns maneuver types, not text; build a short instruction from them
+const describeStep = ({ maneuver }, t) => {
+  switch (maneuver.type) {
+    case 'depart':
+      return t('directions.depart')
+    case 'arrive':
+      return t('directions.arrive')
+    case 'roundabout':
+    case 'rotary':
+      return maneuver.exit ? t('directions.roundaboutExit', { exit: maneuver.exit }) : t('directions.roundabout')
+    case 'continue':
+    case 'new name':
+      return t('directions.straight')
+    default:
+      if (maneuver.modifier === 'uturn') return t('directions.uturn')
+      return TURN_MODIFIERS.includes(maneuver.modifier)
+        ? t('directions.turn', { direction: t(`directions.modifier.${maneuver.modifier}`) })
+        : t('directions.continue')
+  }
+}
+
+// Resolves with every route OSRM returns; alternatives are only
+// computed for two-point requests
+const fetchRoutes = (points, { mode = 'auto', alternatives = false, t, signal }) => {
+  const url = OSRM_URLS[mode]
+  if (!url) {
+    return Promise.reject(new Error(`Routing mode "${mode}" is not supported`))
+  }
+
+  return fetch(`${url}/${points.map(toLonLat).join(';')}?overview=full&geometries=geojson&steps=true&alternatives=${alternatives}`, { signal })
+    .then(response => response.json())
+    .then(data => {
+      if (data.code !== 'Ok' || !data.routes?.length) {
+        throw new Error(data.message || 'Route not found')
+      }
+      return data.routes.map(route => ({
+        distance: route.distance,
+        duration: route.duration,
+        legs: route.legs.map(({ distance, duration }) => ({ distance, duration })),
+        transfers: 0,
+        maneuvers: route.legs.flatMap(leg => leg.steps.map(step => ({
+          instruction: describeStep(step, t),
+          street: step.name || '',
+          distance: step.distance
+        }))),
+        path: route.geometry.coordinates.map(([lon, lat]) => [lat, lon])
+      }))
+    })
+}
+
+const createMapView = (L, map, t) => {
+  // Tooltips and popups take HTML strings, so hints are escaped and
+  // balloons rendered by the escaping balloon renderer
+  const bindHint = (layer, hint) => {
+    if (!hint) {
+      layer.unbindTooltip()
+      return
+    }
+    const content = escapeHtml(hint)
+    layer.getTooltip() ? layer.setTooltipContent(content) : layer.bindTooltip(content)
+  }
+
+  const bindBalloon = (layer, balloon) => {
+    const content = renderBalloonHtml(balloon)
+    if (!content) {
+      layer.unbindPopup()
+      return
+    }
+    layer.getPopup() ? layer.setPopupContent(content) : layer.bindPopup(content)
+  }
+
+  const bindContent = (layer, { hint, balloon }) => {
+    bindHint(layer, hint)
+    bindBalloon(layer, balloon)
+  }
+
+  const addMarker = (group, coords, { type, color, hint, balloon, onClick } = {}) => {
+    const marker = L.circleMarker(coords, {
+      ...(MARKER_STYLES[type] || MARKER_STYLES.office),
+      ...COLORS[color],
+      weight: 2,
+      fillOpacity: 0.9
+    })
+
+    bindContent(marker, { hint, balloon })
+    if (onClick) marker.on('click', onClick)
+    marker.addTo(group)
+
+    return {
+      remove: () => group.removeLayer(marker),
+      update: ({ color, hint, balloon }) => {
+        if (COLORS[color]) marker.setStyle(COLORS[color])
+        if (hint !== undefined) bindHint(marker, hint)
+        if (balloon !== undefined) bindBalloon(marker, balloon)
+      }
+    }
+  }
+
+  // Overlays let clicks through to the map
+  const addPolygon = (rings, { color = 'red' } = {}) => {
+    const polygon = L.polygon(rings, { ...COLORS[color], weight: 2, fillOpacity: 0.15, interactive: false }).addTo(map)
+    polygon.bringToBack()
+    return { remove: () => map.removeLayer(polygon) }
+  }
+
+  const createClusterIcon = (count, isHighlighted) => L.divIcon({
+    className: '',
+    iconSize: [CLUSTER_SIZE, CLUSTER_SIZE],
+    html: `<div style="width:${CLUSTER_SIZE}px;height:${CLUSTER_SIZE}px;border-radius:9999px;border:3px solid #fff;background:${COLORS[isHighlighted ? HIGHLIGHT_COLOR : 'red'].fillColor};color:#fff;font:bold 13px/30px sans-serif;text-align:center;box-shadow:0 1px 4px rgba(0,0,0,.4)">${count}</div>`
+  })
+
+  // Markers with ids, grouped into clusters that split up as the map zooms
+  // in
+  const addClusterLayer = ({ onClick } = {}) => {
+    const group = L.layerGroup().addTo(map)
+    let markers = []
+    let rendered = []
+    let highlightedId = null
+
+    const getStyle = (marker) => ({
+      ...MARKER_STYLES.office,
+      ...COLORS[marker.id === highlightedId ? HIGHLIGHT_COLOR : marker.color],
+      weight: 2,
+      fillOpacity: 0.9
+    })
+
+    const restyle = () => {
+      rendered.forEach(entry => {
+        if (entry.marker) {
+          entry.layer.setStyle(getStyle(entry.marker))
+        } else {
+          entry.layer.setIcon(createClusterIcon(entry.ids.length, entry.ids.includes(highlightedId)))
+        }
+      })
+    }
+
+    const render = () => {
+      group.clearLayers()
+      const project = (coords) => {
+        const { x, y } = map.project(coords, map.getZoom())
+        return [x, y]
+      }
+      rendered = clusterMarkers(markers, project).map(cluster => {
+        const ids = cluster.markers.map(({ id }) => id)
+        if (ids.length === 1) {
+          const [marker] = cluster.markers
+          const layer = L.circleMarker(marker.coords, getStyle(marker)).on('click', () => onClick?.(marker.id))
+          bindContent(layer, marker)
+          return { ids, marker, layer: layer.addTo(group) }
+        }
+        const layer = L.marker(cluster.coords, { icon: createClusterIcon(ids.length, ids.includes(highlightedId)) })
+          .on('click', () => map.fitBounds(L.latLngBounds(cluster.markers.map(({ coords }) => coords)), { padding: [40, 40] }))
+        return { ids, layer: layer.addTo(group) }
+      })
+    }
+
+    map.on('zoomend', render)
+
+    return {
+      // Same markers in the same places only need restyling, which keeps
+      // an open popup open
+      setMarkers: (list) => {
+        const isSameLayout = list.length === markers.length &&
+          list.every((marker, index) => marker.id === markers[index].id && marker.coords.join() === markers[index].coords.join())
+        markers = list
+        if (!isSameLayout) {
+          render()
+          return
+        }
+        rendered.forEach(entry => {
+          if (!entry.marker) return
+          entry.marker = markers.find(({ id }) => id === entry.marker.id)
+          bindContent(entry.layer, entry.marker)
+        })
+        restyle()
+      },
+      highlight: (id) => {
+        highlightedId = id
+        restyle()
+      },
+      remove: () => {
+        map.off('zoomend', render)
+        map.removeLayer(group)
+      }
+    }
+  }
+
+  const getBounds = () => {
+    const bounds = map.getBounds()
+    return [[bounds.getSouth(), bounds.getWest()], [bounds.getNorth(), bounds.getEast()]]
+  }
+
+  const onBoundsChange = (handler) => {
+    const handleMove = () => handler(getBounds())
+    map.on('moveend', handleMove)
+    return () => map.off('moveend', handleMove)
+  }
+
+  const addLayer = () => {
+    const group = L.layerGroup().addTo(map)
+    const layer = createMarkerLayer((coords, options) => addMarker(group, coords, options))
+    return {
+      ...layer,
+      remove: () => map.removeLayer(group)
+    }
+  }
+
+  const showRoute = (points, { mode, onChange, onError } = {}) => {
+    const group = L.featureGroup().addTo(map)
+    // A route replaced or removed before OSRM answers must not draw, move
+    // the map or report itself
+    const controller = new AbortController()
+    let routes = []
+    let lines = []
+
+    const setActiveRoute = (activeIndex) => {
+      if (!routes[activeIndex]) return
+      lines.forEach((line, index) => {
+        line.setStyle(index === activeIndex
+          ? { color: '#ef4444', weight: 6, opacity: 1 }
+          : { color: '#9ca3af', weight: 4, opacity: 0.8 })
+      })
+      lines[activeIndex].bringToFront()
+      if (onChange) {
+        onChange({ ...routes[activeIndex], routes, activeIndex })
+      }
+    }
+
+    fetchRoutes(points, { mode, alternatives: points.length === 2, t, signal: controller.signal }).then(result => {
+      if (controller.signal.aborted) return
+      routes = result
+      lines = routes.map((route, index) =>
+        L.polyline(route.path).on('click', () => setActiveRoute(index)).addTo(group)
+      )
+      L.circleMarker(points[0], { ...MARKER_STYLES.search, fillOpacity: 1 }).addTo(group)
+      points.slice(2).forEach((point, index) => {
+        L.circleMarker(point, { ...MARKER_STYLES.tracking, fillOpacity: 1 })
+          .bindTooltip(String(index + 1), { permanent: true, direction: 'top' })
+          .addTo(group)
+      })
+      map.fitBounds(group.getBounds(), { padding: [40, 40] })
+      setActiveRoute(0)
+    }).catch(error => {
+      if (controller.signal.aborted) return
+      if (onError) onError(error)
+    })
+
+    return {
+      remove: () => {
+        controller.abort()
+        map.removeLayer(group)
+      },
+      setActiveRoute
+    }
+  }
+
+  // Long press on touch screens surfaces as a context menu event
+  const onClick = (handler) => {
+    const handleClick = (e) => handler([e.latlng.lat, e.latlng.lng], { isLongPress: false })
+    const handleLongPress = (e) => handler([e.latlng.lat, e.latlng.lng], { isLongPress: true })
+    map.on('click', handleClick)
+    map.on('contextmenu', handleLongPress)
+    return () => {
+      map.off('click', handleClick)
+      map.off('contextmenu', handleLongPress)
+    }
+  }
+
+  return {
+    addLayer,
+    addPolygon,
+    addClusterLayer,
+    showRoute,
+    onClick,
+    getBounds,
+    onBoundsChange,
+    setCenter: (coords, zoom, { duration } = {}) =>
+      map.setView(coords, zoom, { animate: Boolean(duration), duration: duration / 1000 }),
+    setBounds: (bounds, { duration } = {}) => new Promise(resolve => {
+      map.once('moveend', resolve)
+      map.fitBounds(bounds, { animate: Boolean(duration), duration: duration / 1000 })
+    }),
+    destroy: () => map.remove()
+  }
+}
+
+const toLocation = (place) => {
+  const [south, north, west, east] = place.boundingbox.map(Number)
+  return {
+    coords: [Number(place.lat), Number(place.lon)],
+    bounds: [[south, west], [north, east]],
+    address: place.display_name,
+    countryCode: place.address?.country_code?.toUpperCase()
+  }
+}
+
+// OpenStreetMap tiles through Leaflet, with Nominatim geocoding and OSRM
+// routing. Nominatim answers in `locale`; `t` translates OSRM maneuvers.
+export const createLeafletProvider = ({ locale, t }) => {
+  let L = null
+
+  return {
+    name: 'leaflet',
+    supportedModes: Object.keys(OSRM_URLS),
+    supportsTraffic: false,
+    // Nominatim's usage policy forbids search-as-you-type
+    supportsSuggestions: false,
+    tileUrl: TILE_URL,
+    tileAttribution: '© OpenStreetMap contributors',
+
+    load: () => Promise.all([
+      import('leaflet'),
+      import('leaflet/dist/leaflet.css')
+    ]).then(([module]) => {
+      L = module.default
+    }),
+
+    createMap: (container, { center, zoom }) => {
+      const map = L.map(container).setView(center, zoom)
+      L.tileLayer(TILE_URL, {
+        maxZoom: 19,
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+      }).addTo(map)
+      return createMapView(L, map, t)
+    },
+
+    geocode: (query, { results = 1, signal } = {}) =>
+      fetch(`${NOMINATIM_URL}/search?format=jsonv2&addressdetails=1&limit=${results}&accept-language=${locale}&q=${encodeURIComponent(query)}`, { signal })
+        .then(response => response.json())
+        .then(places => places.map(toLocation)),
+
+    reverseGeocode: ([lat, lon]) =>
+      fetch(`${NOMINATIM_URL}/reverse?format=jsonv2&addressdetails=1&accept-language=${locale}&lat=${lat}&lon=${lon}`)
+        .then(response => response.json())
+        .then(place => (place && !place.error ? toLocation(place) : null)),
+
+    route: (from, to) =>
+      fetchRoutes([from, to], { t }).then(([{ distance, duration }]) => ({ distance, duration }))
+  }
+}
@@ -0,0 +1,355 @@
+import { haversineDistance } from '../nearestOffices'
+import { clusterMarkers, HIGHLIGHT_COLOR } from './cluster'
+import { createMarkerLayer } from './layer'
+
+// A handful of known places; anything else is hashed to a stable point
+// so the same query always lands in the same spot.
+const GAZETTEER = [
+  { match: 'paris', address: 'Paris, France', coords: [48.8566, 2.3522], countryCode: 'FR' },
+  { match: 'lyon', address: 'Lyon, France', coords: [45.764, 4.8357], countryCode: 'FR' },
+  { match: 'london', address: 'London, United Kingdom', coords: [51.5074, -0.1278], countryCode: 'GB' },
+  { match: 'manchester', address: 'Manchester, United Kingdom', coords: [53.4808, -2.2426], countryCode: 'GB' },
+  { match: 'berlin', address: 'Berlin, Germany', coords: [52.52, 13.405], countryCode: 'DE' },
+  { match: 'brussels', address: 'Brussels, Belgium', coords: [50.8503, 4.3517], countryCode: 'BE' },
+  { match: 'amsterdam', address: 'Amsterdam, Netherlands', coords: [52.3676, 4.9041], countryCode: 'NL' },
+  { match: 'madrid', address: 'Madrid, Spain', coords: [40.4168, -3.7038], countryCode: 'ES' }
+]
+
+const MARKER_COLORS = {
+  office: '#ef4444',
+  search: '#4ade80',
+  tracking: '#3b82f6'
+}
+
+const COLORS = {
+  red: '#ef4444',
+  green: '#22c55e',
+  orange: '#f97316',
+  gray: '#9ca3af',
+  blue: '#3b82f6'
+}
+
+const hashString = (value) =>
+  [...value].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7)
+
+const lookupPlaces = (query) => {
+  const normalized = query.trim().toLowerCase()
+  if (normalized.length < 3) return []
+
+  const known = GAZETTEER.filter(place =>
+    normalized.includes(place.match) || place.match.startsWith(normalized)
+  )
+  if (known.length) return known
+
+  const hash = hashString(normalized)
+  return [{
+    address: query.trim(),
+    coords: [43 + (hash % 1200) / 100, -5 + (Math.floor(hash / 1200) % 2000) / 100],
+    countryCode: undefined
+  }]
+}
+
+const toLocation = ({ address, coords, countryCode }) => ({
+  coords,
+  bounds: [[coords[0] - 0.05, coords[1] - 0.08], [coords[0] + 0.05, coords[1] + 0.08]],
+  address,
+  countryCode
+})
+
+// Average speeds in m/s per routing mode
+const SPEEDS = {
+  auto: 70 / 3.6,
+  pedestrian: 5 / 3.6,
+  bicycle: 15 / 3.6,
+  masstransit: 30 / 3.6
+}
+
+const TRAFFIC_FACTOR = 1.2
+
+const estimateRoute = (points, { mode = 'auto', avoidTrafficJams = false, detour = 1 } = {}) => {
+  const speed = SPEEDS[mode] / (avoidTrafficJams && mode === 'auto' ? TRAFFIC_FACTOR : 1)
+  const legs = points.slice(1).map((point, index) => {
+    const distance = haversineDistance(points[index], point) * 1.3 * detour
+    return { distance, duration: distance / speed }
+  })
+  const distance = legs.reduce((total, leg) => total + leg.distance, 0)
+  return {
+    distance,
+    duration: legs.reduce((total, leg) => total + leg.duration, 0),
+    legs,
+    transfers: mode === 'masstransit' ? Math.min(3, Math.floor(distance / 15000)) : 0
+  }
+}
+
+// One straight maneuver per leg is all the gazetteer can offer
+const describeManeuvers = (legs, t) => [
+  ...legs.map((leg, index) => ({
+    instruction: t('directions.towardsStop', { index: index + 1 }),
+    street: '',
+    distance: leg.distance
+  })),
+  { instruction: t('directions.arrive'), street: '', distance: 0 }
+]
+
+// The alternative bends each leg sideways through a shifted midpoint
+const detourPath = (points) => points.flatMap((point, index) => {
+  if (index === 0) return [point]
+  const [lat1, lon1] = points[index - 1]
+  const [lat2, lon2] = point
+  const midpoint = [(lat1 + lat2) / 2 + (lon2 - lon1) * 0.15, (lon1 + lon2) / 2 - (lat2 - lat1) * 0.15]
+  return [midpoint, point]
+})
+
+// Draws markers, clusters, routes and overlays as plain DOM with an equirectangular projection
+const createMapView = (container, { center, zoom }, t) => {
+  const state = { center, zoom, markers: [], routes: [], polygons: [], clusterLayers: [] }
+  const boundsHandlers = new Set()
+
+  const surface = document.createElement('div')
+  surface.style.cssText = 'position:relative;width:100%;height:100%;overflow:hidden;background:#f1f5f9'
+  container.appendChild(surface)
+
+  const getScale = () => (256 * 2 ** state.zoom) / 360
+
+  const project = ([lat, lon]) => [
+    surface.clientWidth / 2 + (lon - state.center[1]) * getScale(),
+    surface.clientHeight / 2 - (lat - state.center[0]) * getScale() * 1.5
+  ]
+
+  const unproject = ([x, y]) => [
+    state.center[0] - (y - surface.clientHeight / 2) / (getScale() * 1.5),
+    state.center[1] + (x - surface.clientWidth / 2) / getScale()
+  ]
+
+  const render = () => {
+    surface.replaceChildren()
+
+    if (state.polygons.length) {
+      const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg')
+      svg.setAttribute('style', 'position:absolute;inset:0;width:100%;height:100%;pointer-events:none')
+      state.polygons.forEach(({ rings, color }) => {
+        const shape = document.createElementNS('http://www.w3.org/2000/svg', 'path')
+        shape.setAttribute('d', rings.map(ring => `M${ring.map(project).map(point => point.join(',')).join('L')}Z`).join(''))
+        shape.setAttribute('fill', COLORS[color])
+        shape.setAttribute('fill-opacity', '0.15')
+        shape.setAttribute('fill-rule', 'evenodd')
+        shape.setAttribute('stroke', COLORS[color])
+        shape.setAttribute('stroke-width', '2')
+        svg.appendChild(shape)
+      })
+      surface.appendChild(svg)
+    }
+
+    state.routes.forEach(({ paths, activeIndex }) => {
+      const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg')
+      svg.setAttribute('style', 'position:absolute;inset:0;width:100%;height:100%;pointer-events:none')
+      // Inactive alternatives first so the active route is drawn on top
+      const order = paths.map((_, index) => index).sort((a, b) => (a === activeIndex) - (b === activeIndex))
+      order.forEach(index => {
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline')
+        line.setAttribute('points', paths[index].map(project).map(point => point.join(',')).join(' '))
+        line.setAttribute('fill', 'none')
+        line.setAttribute('stroke', index === activeIndex ? '#ef4444' : '#9ca3af')
+        line.setAttribute('stroke-width', index === activeIndex ? '6' : '4')
+        svg.appendChild(line)
+      })
+      surface.appendChild(svg)
+    })
+
+    state.markers.forEach(marker => {
+      const [x, y] = project(marker.coords)
+      const element = document.createElement('button')
+      element.type = 'button'
+      element.title = marker.hint || ''
+      element.style.cssText = `position:absolute;left:${x - 8}px;top:${y - 8}px;width:16px;height:16px;border-radius:9999px;border:2px solid #fff;background:${COLORS[marker.color] || MARKER_COLORS[marker.type] || MARKER_COLORS.office};box-shadow:0 1px 4px rgba(0,0,0,.4)`
+      if (marker.onClick) element.addEventListener('click', marker.onClick)
+      surface.appendChild(element)
+    })
+
+    state.clusterLayers.forEach(layer => {
+      clusterMarkers(layer.markers, project).forEach(cluster => {
+        const [x, y] = project(cluster.coords)
+        const isHighlighted = cluster.markers.some(({ id }) => id === layer.highlightedId)
+        const element = document.createElement('button')
+        element.type = 'button'
+        if (cluster.markers.length === 1) {
+          const [marker] = cluster.markers
+          element.title = marker.hint || ''
+          element.style.cssText = `position:absolute;left:${x - 8}px;top:${y - 8}px;width:16px;height:16px;border-radius:9999px;border:2px solid #fff;background:${COLORS[isHighlighted ? HIGHLIGHT_COLOR : marker.color] || MARKER_COLORS.office};box-shadow:0 1px 4px rgba(0,0,0,.4)`
+          element.addEventListener('click', () => layer.onClick?.(marker.id))
+        } else {
+          element.textContent = cluster.markers.length
+          element.style.cssText = `position:absolute;left:${x - 14}px;top:${y - 14}px;width:28px;height:28px;border-radius:9999px;border:2px solid #fff;background:${isHighlighted ? COLORS[HIGHLIGHT_COLOR] : COLORS.red};color:#fff;font:bold 12px sans-serif;box-shadow:0 1px 4px rgba(0,0,0,.4)`
+          element.addEventListener('click', () => setCenter(cluster.coords, state.zoom + 2))
+        }
+        surface.appendChild(element)
+      })
+    })
+  }
+
+  const getBounds = () => {
+    const [north, west] = unproject([0, 0])
+    const [south, east] = unproject([surface.clientWidth, surface.clientHeight])
+    return [[south, west], [north, east]]
+  }
+
+  // Markers with ids, merged into clusters at low zoom
+  const addClusterLayer = ({ onClick } = {}) => {
+    const layer = { markers: [], highlightedId: null, onClick }
+    state.clusterLayers.push(layer)
+    return {
+      setMarkers: (markers) => {
+        layer.markers = markers
+        render()
+      },
+      highlight: (id) => {
+        layer.highlightedId = id
+        render()
+      },
+      remove: () => {
+        state.clusterLayers = state.clusterLayers.filter(entry => entry !== layer)
+        render()
+      }
+    }
+  }
+
+  const addMarker = (coords, { type, color, hint, onClick } = {}) => {
+    const marker = { coords, type, color, hint, onClick }
+    state.markers.push(marker)
+    render()
+    return {
+      remove: () => {
+        state.markers = state.markers.filter(entry => entry !== marker)
+        render()
+      },
+      update: ({ color, hint }) => {
+        if (color !== undefined) marker.color = color
+        if (hint !== undefined) marker.hint = hint
+        render()
+      }
+    }
+  }
+
+  const addLayer = () => {
+    const layer = createMarkerLayer(addMarker)
+    return { ...layer, remove: layer.clear }
+  }
+
+  const addPolygon = (rings, { color = 'red' } = {}) => {
+    const polygon = { rings, color }
+    state.polygons.push(polygon)
+    render()
+    return {
+      remove: () => {
+        state.polygons = state.polygons.filter(entry => entry !== polygon)
+        render()
+      }
+    }
+  }
+
+  const showRoute = (points, { mode, avoidTrafficJams, onChange } = {}) => {
+    const paths = [points, detourPath(points)]
+    const described = [1, 1.12].map((detour, index) => {
+      const estimate = estimateRoute(points, { mode, avoidTrafficJams, detour })
+      return { ...estimate, maneuvers: describeManeuvers(estimate.legs, t), path: paths[index] }
+    })
+    const route = { paths, activeIndex: 0 }
+    state.routes.push(route)
+    render()
+
+    const setActiveRoute = (activeIndex) => {
+      route.activeIndex = activeIndex
+      render()
+      if (onChange) {
+        Promise.resolve().then(() => onChange({ ...described[activeIndex], routes: described, activeIndex }))
+      }
+    }
+    setActiveRoute(0)
+
+    return {
+      remove: () => {
+        state.routes = state.routes.filter(entry => entry !== route)
+        render()
+      },
+      setActiveRoute
+    }
+  }
+
+  const setCenter = (coords, zoom = state.zoom) => {
+    state.center = coords
+    state.zoom = zoom
+    render()
+    boundsHandlers.forEach(handler => handler(getBounds()))
+  }
+
+  const onClick = (handler) => {
+    const toCoords = (e) => {
+      const rect = surface.getBoundingClientRect()
+      return unproject([e.clientX - rect.left, e.clientY - rect.top])
+    }
+    const handleClick = (e) => {
+      if (e.target === surface) handler(toCoords(e), { isLongPress: false })
+    }
+    const handleLongPress = (e) => {
+      e.preventDefault()
+      handler(toCoords(e), { isLongPress: true })
+    }
+    surface.addEventListener('click', handleClick)
+    surface.addEventListener('contextmenu', handleLongPress)
+    return () => {
+      surface.removeEventListener('click', handleClick)
+      surface.removeEventListener('contextmenu', handleLongPress)
+    }
+  }
+
+  return {
+    addLayer,
+    addPolygon,
+    addClusterLayer,
+    onClick,
+    showRoute,
+    getBounds,
+    onBoundsChange: (handler) => {
+      boundsHandlers.add(handler)
+      return () => boundsHandlers.delete(handler)
+    },
+    setCenter,
+    // Zooms in as far as the bounds still fit, between 1 and 10
+    setBounds: ([[south, west], [north, east]]) => {
+      const fitsWidth = (surface.clientWidth * 360) / (256 * Math.max(east - west, 1e-6))
+      const fitsHeight = (surface.clientHeight * 360) / (256 * 1.5 * Math.max(north - south, 1e-6))
+      const zoom = Math.max(1, Math.min(10, Math.floor(Math.log2(Math.min(fitsWidth, fitsHeight)))))
+      setCenter([(south + north) / 2, (west + east) / 2], zoom)
+      return Promise.resolve()
+    },
+    destroy: () => surface.remove()
+  }
+}
+
+// Deterministic in-memory provider: no SDK, no API key, no network.
+// `t` translates the generated directions.
+export const createStubProvider = ({ t }) => ({
+  name: 'stub',
+  supportedModes: Object.keys(SPEEDS),
+  supportsTraffic: true,
+  supportsSuggestions: true,
+
+  load: () => Promise.resolve(),
+
+  createMap: (container, options) => createMapView(container, options, t),
+
+  geocode: (query, { results = 1 } = {}) =>
+    Promise.resolve(lookupPlaces(query).slice(0, results).map(toLocation)),
+
+  // Snaps to a known place within 25 km, otherwise reports raw coordinates
+  reverseGeocode: (coords) => {
+    const nearby = GAZETTEER.find(place => haversineDistance(coords, place.coords) < 25000)
+    const address = nearby ? nearby.address : coords.map(value => value.toFixed(5)).join(', ')
+    return Promise.resolve(toLocation({ address, coords, countryCode: nearby?.countryCode }))
+  },
+
+  route: (from, to) => {
+    const { distance, duration } = estimateRoute([from, to])
+    return Promise.resolve({ distance, duration })
+  }
+})
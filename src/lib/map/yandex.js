@@ -0,0 +1,389 @@
+import { HIGHLIGHT_COLOR } from './cluster'
+import { escapeHtml, renderBalloon } from './balloon'
+import { createMarkerLayer } from './layer'
+
+const MARKER_OPTIONS = {
+  office: { preset: 'islands#redDeliveryIcon', iconColor: '#ef4444' },
+  search: { preset: 'islands#greenCircleDotIcon' },
+  tracking: { preset: 'islands#blueDeliveryCircleIcon' }
+}
+
+// Named colours map onto Yandex's coloured delivery presets
+const getMarkerOptions = (type, color) =>
+  color && type === 'office'
+    ? { preset: `islands#${color}DeliveryIcon` }
+    : MARKER_OPTIONS[type] || MARKER_OPTIONS.office
+
+const POLYGON_COLORS = {
+  red: '#ef4444',
+  green: '#22c55e',
+  orange: '#f97316',
+  gray: '#9ca3af'
+}
+
+// Yandex renders hints and balloons as HTML, so both go through the
+// escaping balloon renderer
+const getContentProperties = ({ hint, balloon }) => {
+  const content = renderBalloon(balloon)
+  return {
+    hintContent: hint ? escapeHtml(hint) : undefined,
+    balloonContentHeader: content?.header,
+    balloonContentBody: content?.body
+  }
+}
+
+const CLUSTER_PRESET = 'islands#redClusterIcons'
+const HIGHLIGHT_CLUSTER_PRESET = `islands#${HIGHLIGHT_COLOR}ClusterIcons`
+
+const createMapView = (ymaps, map) => {
+  const overlays = new ymaps.GeoObjectCollection()
+  map.geoObjects.add(overlays)
+
+  const addMarker = (collection, coords, { type, color, hint, balloon, onClick } = {}) => {
+    const placemark = new ymaps.Placemark(
+      coords,
+      getContentProperties({ hint, balloon }),
+      getMarkerOptions(type, color)
+    )
+
+    if (onClick) {
+      placemark.events.add('click', onClick)
+    }
+
+    collection.add(placemark)
+    return {
+      remove: () => collection.remove(placemark),
+      update: ({ color, hint, balloon }) => {
+        placemark.options.set(getMarkerOptions(type, color))
+        const properties = getContentProperties({ hint, balloon })
+        if (hint !== undefined) placemark.properties.set('hintContent', properties.hintContent)
+        if (balloon !== undefined) {
+          placemark.properties.set('balloonContentHeader', properties.balloonContentHeader)
+          placemark.properties.set('balloonContentBody', properties.balloonContentBody)
+        }
+      }
+    }
+  }
+
+  // Transparent to clicks so the map underneath still gets them
+  const addPolygon = (rings, { color = 'red' } = {}) => {
+    const polygon = new ymaps.Polygon(rings, {}, {
+      fillColor: POLYGON_COLORS[color],
+      fillOpacity: 0.15,
+      strokeColor: POLYGON_COLORS[color],
+      strokeWidth: 2,
+      interactivityModel: 'default#transparent'
+    })
+    overlays.add(polygon)
+    return { remove: () => overlays.remove(polygon) }
+  }
+
+  // Markers with ids, clustered by an ObjectManager so large networks stay
+  // fast. Updates go through the manager instead of re-adding objects, which
+  // keeps an open balloon open.
+  const addClusterLayer = ({ onClick } = {}) => {
+    const manager = new ymaps.ObjectManager({ clusterize: true, gridSize: 64 })
+    manager.clusters.options.set('preset', CLUSTER_PRESET)
+    manager.objects.events.add('click', (e) => onClick?.(e.get('objectId')))
+    map.geoObjects.add(manager)
+
+    let markers = new Map()
+    let highlightedId = null
+    let highlightedClusterId = null
+
+    const getOptions = (marker) =>
+      getMarkerOptions('office', marker.id === highlightedId ? HIGHLIGHT_COLOR : marker.color)
+
+    const toFeature = (marker) => ({
+      type: 'Feature',
+      id: marker.id,
+      geometry: { type: 'Point', coordinates: marker.coords },
+      properties: getContentProperties(marker),
+      options: getOptions(marker)
+    })
+
+    const removeObject = (id) => manager.objects.remove(manager.objects.getById(id))
+
+    return {
+      setMarkers: (list) => {
+        const next = new Map(list.map(marker => [marker.id, marker]))
+        markers.forEach((_, id) => {
+          if (!next.has(id)) removeObject(id)
+        })
+        list.forEach(marker => {
+          const object = manager.objects.getById(marker.id)
+          if (object && object.geometry.coordinates.join() === marker.coords.join()) {
+            // Balloons read their content when they open
+            Object.assign(object.properties, toFeature(marker).properties)
+            manager.objects.setObjectOptions(marker.id, getOptions(marker))
+            return
+          }
+          if (object) removeObject(marker.id)
+          manager.add(toFeature(marker))
+        })
+        markers = next
+      },
+      // A marker hidden in a cluster highlights the cluster instead
+      highlight: (id) => {
+        const previousId = highlightedId
+        highlightedId = id
+        ;[previousId, id].forEach(markerId => {
+          if (markers.has(markerId)) manager.objects.setObjectOptions(markerId, getOptions(markers.get(markerId)))
+        })
+
+        if (highlightedClusterId !== null && manager.clusters.getById(highlightedClusterId)) {
+          manager.clusters.setClusterOptions(highlightedClusterId, { preset: CLUSTER_PRESET })
+        }
+        highlightedClusterId = null
+        const state = markers.has(id) ? manager.getObjectState(id) : null
+        if (state?.isClustered) {
+          highlightedClusterId = state.cluster.id
+          manager.clusters.setClusterOptions(highlightedClusterId, { preset: HIGHLIGHT_CLUSTER_PRESET })
+        }
+      },
+      remove: () => map.geoObjects.remove(manager)
+    }
+  }
+
+  const onBoundsChange = (handler) => {
+    const handleBoundsChange = (e) => handler(e.get('newBounds'))
+    map.events.add('boundschange', handleBoundsChange)
+    return () => map.events.remove('boundschange', handleBoundsChange)
+  }
+
+  // Each layer is its own collection, so clearing it never walks the rest
+  // of the map
+  const addLayer = () => {
+    const collection = new ymaps.GeoObjectCollection()
+    map.geoObjects.add(collection)
+    const layer = createMarkerLayer((coords, options) => addMarker(collection, coords, options))
+    return {
+      ...layer,
+      remove: () => map.geoObjects.remove(collection)
+    }
+  }
+
+  // Each path is the leg between two consecutive reference points; transit
+  // transfers are the number of transport segments beyond the first.
+  // Segments double as maneuvers and make up the route geometry.
+  const describeRoute = (route, avoidTrafficJams) => {
+    const legs = []
+    const maneuvers = []
+    const path = []
+    let transportSegments = 0
+
+    route.getPaths().each(routePath => {
+      legs.push({
+        distance: routePath.properties.get('distance').value,
+        duration: routePath.properties.get('duration').value
+      })
+      routePath.getSegments().each(segment => {
+        if (segment.properties.get('type') === 'transport') transportSegments++
+        maneuvers.push({
+          instruction: segment.properties.get('text'),
+          street: segment.properties.get('street') || '',
+          distance: segment.properties.get('distance').value
+        })
+        path.push(...segment.geometry.getCoordinates())
+      })
+    })
+
+    const duration = (avoidTrafficJams && route.properties.get('durationInTraffic')) || route.properties.get('duration')
+    return {
+      distance: route.properties.get('distance').value,
+      duration: duration.value,
+      legs,
+      transfers: Math.max(0, transportSegments - 1),
+      maneuvers,
+      path
+    }
+  }
+
+  const showRoute = (points, { mode = 'auto', avoidTrafficJams = false, onChange, onError } = {}) => {
+    const multiRoute = new ymaps.multiRouter.MultiRoute({
+      referencePoints: points,
+      params: {
+        routingMode: mode,
+        avoidTrafficJams,
+        results: 3
+      }
+    }, {
+      boundsAutoApply: true,
+      wayPointStartIconColor: '#4ade80',
+      wayPointFinishIconColor: '#ef4444',
+      routeActiveStrokeColor: '#ef4444',
+      routeActiveStrokeWidth: 6,
+      routeStrokeColor: '#9ca3af',
+      routeStrokeWidth: 4,
+      routeActivePedestrianSegmentStrokeColor: '#ef4444'
+    })
+
+    const getRoutes = () => {
+      const routes = []
+      multiRoute.getRoutes().each(route => routes.push(route))
+      return routes
+    }
+
+    if (onChange) {
+      const handleChange = () => {
+        const activeRoute = multiRoute.getActiveRoute()
+        if (!activeRoute) return
+
+        const routes = getRoutes()
+        const described = routes.map(route => describeRoute(route, avoidTrafficJams))
+        const activeIndex = routes.indexOf(activeRoute)
+        onChange({ ...described[activeIndex], routes: described, activeIndex })
+      }
+      multiRoute.model.events.add('requestsuccess', handleChange)
+      multiRoute.events.add('activeroutechange', handleChange)
+    }
+
+    if (onError) {
+      multiRoute.model.events.add('requestfail', (e) => onError(e.get('error')))
+    }
+
+    map.geoObjects.add(multiRoute)
+    return {
+      remove: () => map.geoObjects.remove(multiRoute),
+      setActiveRoute: (index) => {
+        const route = getRoutes()[index]
+        if (route) multiRoute.setActiveRoute(route)
+      }
+    }
+  }
+
+  // Long press on touch screens surfaces as a context menu event
+  const onClick = (handler) => {
+    const handleClick = (e) => handler(e.get('coords'), { isLongPress: false })
+    const handleLongPress = (e) => handler(e.get('coords'), { isLongPress: true })
+    map.events.add('click', handleClick)
+    map.events.add('contextmenu', handleLongPress)
+    return () => {
+      map.events.remove('click', handleClick)
+      map.events.remove('contextmenu', handleLongPress)
+    }
+  }
+
+  return {
+    addLayer,
+    addPolygon,
+    addClusterLayer,
+    showRoute,
+    onClick,
+    getBounds: () => map.getBounds(),
+    onBoundsChange,
+    setCenter: (coords, zoom, { duration } = {}) => map.setCenter(coords, zoom, { duration }),
+    setBounds: (bounds, { duration } = {}) => map.setBounds(bounds, { checkZoomRange: true, duration }),
+    destroy: () => map.destroy()
+  }
+}
+
+const toLocation = (geoObject) => ({
+  coords: geoObject.geometry.getCoordinates(),
+  bounds: geoObject.properties.get('boundedBy'),
+  address: geoObject.getAddressLine(),
+  countryCode: geoObject.getCountryCode()
+})
+
+const SCRIPT_ID = 'yandex-maps-api'
+// A stalled script may never fire onerror
+const LOAD_TIMEOUT = 15000
+let apiRequest = null
+
+// The API cannot change its language once loaded, so switching language
+// replaces both the script and the `ymaps` global. A failed load is
+// forgotten, so the next call tries again.
+const loadApi = (lang) => {
+  if (apiRequest?.lang === lang) return apiRequest.promise
+
+  const apiKey = import.meta.env.VITE_YANDEX_MAPS_API_KEY
+  if (!apiKey) return Promise.reject(new Error('VITE_YANDEX_MAPS_API_KEY is not set'))
+
+  document.getElementById(SCRIPT_ID)?.remove()
+  delete window.ymaps
+
+  const promise = new Promise((resolve, reject) => {
+    const script = document.createElement('script')
+    const fail = (error) => {
+      clearTimeout(timer)
+      if (apiRequest?.promise === promise) apiRequest = null
+      script.remove()
+      reject(error)
+    }
+    const timer = setTimeout(() => fail(new Error('Yandex Maps API timed out')), LOAD_TIMEOUT)
+
+    script.id = SCRIPT_ID
+    script.src = `https://api-maps.yandex.ru/2.1/?apikey=${apiKey}&lang=${lang}`
+    script.onload = () => window.ymaps.ready(() => {
+      clearTimeout(timer)
+      resolve()
+    }, fail)
+    script.onerror = () => fail(new Error('Yandex Maps API failed to load'))
+    document.head.appendChild(script)
+  })
+  apiRequest = { lang, promise }
+  return promise
+}
+
+const STATIC_API_URL = 'https://static-maps.yandex.ru/v1'
+// The Static API takes the route in the URL, so long routes are thinned out
+const STATIC_MAX_POINTS = 100
+
+const toStaticLonLat = ([lat, lon]) => `${lon.toFixed(5)},${lat.toFixed(5)}`
+
+// Yandex Maps JS API 2.1 in `mapLang` (e.g. ru_RU, en_US). Geocoder
+// results and route directions come back in the same language.
+export const createYandexProvider = ({ mapLang }) => {
+  const getApi = () => window.ymaps
+
+  return {
+    name: 'yandex',
+    supportedModes: ['auto', 'pedestrian', 'masstransit', 'bicycle'],
+    supportsTraffic: true,
+    supportsSuggestions: true,
+
+    load: () => loadApi(mapLang),
+
+    // The Static API is a separate product with a key of its own
+    getStaticMapUrl: ({ path, stops, width, height }) => {
+      const apiKey = import.meta.env.VITE_YANDEX_STATIC_API_KEY
+      if (!apiKey) return null
+
+      const step = Math.ceil(path.length / STATIC_MAX_POINTS)
+      const line = path.filter((_, index) => index % step === 0 || index === path.length - 1)
+      const params = new URLSearchParams({
+        apikey: apiKey,
+        lang: mapLang,
+        size: `${width},${height}`,
+        pl: `c:ef4444ff,w:4,${line.map(toStaticLonLat).join(',')}`,
+        pt: stops.map((coords, index) => `${toStaticLonLat(coords)},${index === 0 ? 'pm2gnm' : `pm2rdm${index}`}`).join('~')
+      })
+      return `${STATIC_API_URL}?${params}`
+    },
+
+    createMap: (container, { center, zoom }) => createMapView(getApi(), new (getApi().Map)(container, {
+      center,
+      zoom,
+      controls: ['zoomControl', 'fullscreenControl']
+    })),
+
+    geocode: (query, { results = 1 } = {}) =>
+      getApi().geocode(query, { results }).then(result => {
+        const locations = []
+        result.geoObjects.each(geoObject => locations.push(toLocation(geoObject)))
+        return locations
+      }),
+
+    reverseGeocode: (coords) =>
+      getApi().geocode(coords, { results: 1 }).then(result => {
+        const geoObject = result.geoObjects.get(0)
+        return geoObject ? toLocation(geoObject) : null
+      }),
+
+    route: (from, to) =>
+      getApi().route([from, to]).then(route => ({
+        distance: route.getLength(),
+        duration: route.getTime()
+      }))
+  }
+}
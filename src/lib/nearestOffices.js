@@ -0,0 +1,42 @@
+const EARTH_RADIUS = 6371000
+
+// Road distance is rarely a straight line; these turn a great-circle
+// distance into a rough driving estimate until the router answers.
+const ROAD_FACTOR = 1.3
+const AVERAGE_SPEED = 70 / 3.6
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180
+
+// Great-circle distance in metres between two [lat, lon] points
+export const haversineDistance = ([lat1, lon1], [lat2, lon2]) => {
+  const dLat = toRadians(lat2 - lat1)
+  const dLon = toRadians(lon2 - lon1)
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a))
+}
+
+// Ranks every office by estimated travel distance from `coords`.
+// Linear in the number of offices, so it stays cheap for large networks.
+export const rankOffices = (coords, offices) =>
+  offices
+    .map(office => {
+      const distance = haversineDistance(coords, office.coords) * ROAD_FACTOR
+      return { office, distance, duration: distance / AVERAGE_SPEED, isEstimate: true }
+    })
+    .sort((a, b) => a.distance - b.distance)
+
+// Replaces the estimates of the first `limit` entries with real driving
+// distances from the map provider's router and re-sorts the whole list, so
+// an office whose real route turns out long drops below closer estimates.
+export const refineRanking = (provider, coords, ranking, limit = 3) => {
+  const candidates = ranking.slice(0, limit)
+
+  return Promise.all(candidates.map(entry =>
+    provider.route(coords, entry.office.coords)
+      .then(({ distance, duration }) => ({ ...entry, distance, duration, isEstimate: false }))
+      .catch(() => entry)
+  )).then(refined =>
+    [...refined, ...ranking.slice(limit)].sort((a, b) => a.distance - b.distance)
+  )
+}
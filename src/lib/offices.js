@@ -0,0 +1,184 @@
+import rawOffices from '../data/offices.json'
+
+export const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']
+
+// Service ids an office can list; titles live under `office.service.<id>`
+export const OFFICE_SERVICES = ['express', 'freight', 'pickup', 'international']
+
+// Fields an office may override per language in `translations`
+const TRANSLATABLE_FIELDS = ['city', 'cityLocative', 'address', 'shortAddress']
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+const PHONE_PATTERN = /^\+\d[\d ]{6,18}\d$/
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const COUNTRY_PATTERN = /^[A-Z]{2}$/
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== ''
+
+const isValidTimeZone = (timeZone) => {
+  if (!isNonEmptyString(timeZone)) return false
+  try {
+    new Intl.DateTimeFormat('en', { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+const validateInterval = ({ open, close }, label) => {
+  if (!TIME_PATTERN.test(open) || !TIME_PATTERN.test(close)) {
+    return [`${label} open/close must be HH:MM`]
+  }
+  return open < close ? [] : [`${label} must open before it closes`]
+}
+
+const validateHolidays = (holidays = []) => {
+  if (!Array.isArray(holidays)) return ['holidays must be an array']
+
+  return holidays.flatMap((holiday, index) => {
+    const errors = []
+    if (!DATE_PATTERN.test(holiday.date)) errors.push(`holidays[${index}].date must be YYYY-MM-DD`)
+    if (!holiday.closed) errors.push(...validateInterval(holiday, `holidays[${index}]`))
+    return errors
+  })
+}
+
+const validateTranslations = (translations = {}) => {
+  if (typeof translations !== 'object' || Array.isArray(translations)) {
+    return ['translations must be an object keyed by language']
+  }
+
+  return Object.entries(translations).flatMap(([locale, fields]) =>
+    Object.entries(fields).flatMap(([key, value]) => {
+      if (key === 'holidays') {
+        return typeof value === 'object' ? [] : [`translations.${locale}.holidays must map dates to names`]
+      }
+      if (!TRANSLATABLE_FIELDS.includes(key)) return [`translations.${locale}.${key} is not translatable`]
+      return isNonEmptyString(value) ? [] : [`translations.${locale}.${key} must be a non-empty string`]
+    })
+  )
+}
+
+// Offices offering the pickup service say how long a courier slot is and
+// how many pickups fit into one
+const validatePickup = (office) => {
+  if (!office.services?.includes('pickup')) return []
+
+  const { slotMinutes, capacity } = office.pickup || {}
+  const errors = []
+  if (!(Number.isInteger(slotMinutes) && slotMinutes >= 15 && slotMinutes <= 240)) {
+    errors.push('pickup.slotMinutes must be a whole number of minutes from 15 to 240')
+  }
+  if (!(Number.isInteger(capacity) && capacity > 0)) errors.push('pickup.capacity must be a positive integer')
+  return errors
+}
+
+const validateHours = (hours) => {
+  if (!Array.isArray(hours) || hours.length === 0) {
+    return ['hours must be a non-empty array']
+  }
+
+  return hours.flatMap((entry, index) => {
+    const errors = []
+    if (!Array.isArray(entry.days) || entry.days.length === 0 || entry.days.some(day => !WEEKDAYS.includes(day))) {
+      errors.push(`hours[${index}].days must list weekdays from ${WEEKDAYS.join(', ')}`)
+    }
+    return [...errors, ...validateInterval(entry, `hours[${index}]`)]
+  })
+}
+
+// Returns a list of problems with one office record; empty when valid.
+export const validateOffice = (office) => {
+  const errors = []
+
+  if (!isNonEmptyString(office.id)) errors.push('id is required')
+  ;['city', 'cityLocative', 'address', 'shortAddress'].forEach(key => {
+    if (!isNonEmptyString(office[key])) errors.push(`${key} is required`)
+  })
+  if (!COUNTRY_PATTERN.test(office.country)) errors.push('country must be an ISO 3166-1 alpha-2 code')
+
+  const [lat, lon] = Array.isArray(office.coords) ? office.coords : []
+  if (!(Number.isFinite(lat) && lat >= -90 && lat <= 90 && Number.isFinite(lon) && lon >= -180 && lon <= 180)) {
+    errors.push('coords must be [lat, lon] within valid ranges')
+  }
+  if (!isValidTimeZone(office.timezone)) errors.push('timezone must be an IANA timezone, e.g. Europe/Paris')
+  if (!PHONE_PATTERN.test(office.phone)) errors.push('phone must be in international format, e.g. +33 1 23 45 67 89')
+  if (!EMAIL_PATTERN.test(office.email)) errors.push('email is invalid')
+  if (!Array.isArray(office.services) || office.services.some(service => !OFFICE_SERVICES.includes(service))) {
+    errors.push(`services must list ids from ${OFFICE_SERVICES.join(', ')}`)
+  }
+
+  return [
+    ...errors,
+    ...validateHours(office.hours),
+    ...validateHolidays(office.holidays),
+    ...validatePickup(office),
+    ...validateTranslations(office.translations)
+  ]
+}
+
+export const parseOffices = (records) => {
+  const ids = new Set()
+  const problems = records.flatMap((office, index) => {
+    const errors = validateOffice(office)
+    if (ids.has(office.id)) errors.push('id must be unique')
+    ids.add(office.id)
+    return errors.map(error => `offices[${index}] (${office.id || 'no id'}): ${error}`)
+  })
+
+  if (problems.length) {
+    throw new Error(`Invalid office data:\n${problems.join('\n')}`)
+  }
+  return records
+}
+
+export const offices = parseOffices(rawOffices)
+
+// Office records are written in Russian; other languages take their names,
+// addresses and holiday names from `translations`
+export const localizeOffice = (office, locale) => {
+  const { holidays: holidayNames = {}, ...fields } = office.translations?.[locale] || {}
+  return {
+    ...office,
+    ...fields,
+    holidays: (office.holidays || []).map(holiday => ({ ...holiday, name: holidayNames[holiday.date] || holiday.name }))
+  }
+}
+
+export const getOffices = (locale) => offices.map(office => localizeOffice(office, locale))
+
+// [[south, west], [north, east]] around the given offices, as used by the
+// map's getBounds() and setBounds()
+export const getOfficesBounds = (list) => {
+  const lats = list.map(({ coords }) => coords[0])
+  const lons = list.map(({ coords }) => coords[1])
+  return [[Math.min(...lats), Math.min(...lons)], [Math.max(...lats), Math.max(...lons)]]
+}
+
+export const isInBounds = ([lat, lon], [[south, west], [north, east]]) =>
+  lat >= south && lat <= north && lon >= west && lon <= east
+
+// 2024-01-01 was a Monday
+const getWeekdayLabel = (day, tag) => {
+  const label = new Intl.DateTimeFormat(tag, { weekday: 'short', timeZone: 'UTC' })
+    .format(new Date(Date.UTC(2024, 0, 1 + WEEKDAYS.indexOf(day))))
+  return label.charAt(0).toUpperCase() + label.slice(1)
+}
+
+const formatDays = (days, tag) => {
+  const indexes = days.map(day => WEEKDAYS.indexOf(day)).sort((a, b) => a - b)
+  const isRange = indexes.length > 1 && indexes.every((value, i) => i === 0 || value === indexes[i - 1] + 1)
+  if (isRange) {
+    return `${getWeekdayLabel(WEEKDAYS[indexes[0]], tag)}-${getWeekdayLabel(WEEKDAYS[indexes[indexes.length - 1]], tag)}`
+  }
+  return indexes.map(i => getWeekdayLabel(WEEKDAYS[i], tag)).join(', ')
+}
+
+// "Пн-Пт: 08:00 - 20:00, Сб-Вс: 09:00 - 18:00"
+export const formatHours = (hours, tag = 'ru-RU') =>
+  hours.map(({ days, open, close }) => `${formatDays(days, tag)}: ${open} - ${close}`).join(', ')
+
+// "Париже и Лондоне", "Paris and London"
+export const formatCityList = (list, tag = 'ru-RU', key = 'cityLocative') =>
+  new Intl.ListFormat(tag, { style: 'long', type: 'conjunction' }).format(list.map(office => office[key]))
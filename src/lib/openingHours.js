@@ -0,0 +1,102 @@
+import { WEEKDAYS } from './offices'
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Offices announce that they are about to close this many minutes ahead
+export const CLOSING_SOON_MINUTES = 60
+
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+// Wall-clock date and time of `date` in the given IANA timezone
+export const getLocalTime = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).map(({ type, value }) => [type, value])
+  )
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  }
+}
+
+export const addDays = (isoDate, days) =>
+  new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * DAY).toISOString().slice(0, 10)
+
+const getWeekday = (isoDate) =>
+  WEEKDAYS[(new Date(`${isoDate}T00:00:00Z`).getUTCDay() + 6) % 7]
+
+// Opening interval for one calendar date, or null when the office is closed.
+// Holiday exceptions win over the weekly schedule.
+export const getScheduleForDate = (office, isoDate) => {
+  const exception = (office.holidays || []).find(holiday => holiday.date === isoDate)
+  if (exception) {
+    return exception.closed ? null : { open: exception.open, close: exception.close, note: exception.name }
+  }
+
+  const weekday = getWeekday(isoDate)
+  const entry = office.hours.find(({ days }) => days.includes(weekday))
+  return entry ? { open: entry.open, close: entry.close } : null
+}
+
+// Current status of an office in its own timezone:
+//   { isOpen: true, closesAt, minutesUntilClose }
+//   { isOpen: false, opensAt, daysUntilOpen, weekday }  (opensAt is null if closed for two weeks)
+export const getOpenStatus = (office, now = new Date()) => {
+  const local = getLocalTime(now, office.timezone)
+  const today = getScheduleForDate(office, local.date)
+
+  if (today && local.minutes >= toMinutes(today.open) && local.minutes < toMinutes(today.close)) {
+    return {
+      isOpen: true,
+      closesAt: today.close,
+      minutesUntilClose: toMinutes(today.close) - local.minutes
+    }
+  }
+
+  for (let offset = 0; offset < 14; offset++) {
+    const date = addDays(local.date, offset)
+    const schedule = offset === 0 ? today : getScheduleForDate(office, date)
+    if (schedule && (offset > 0 || local.minutes < toMinutes(schedule.open))) {
+      return { isOpen: false, opensAt: schedule.open, daysUntilOpen: offset, weekday: getWeekday(date) }
+    }
+  }
+
+  return { isOpen: false, opensAt: null }
+}
+
+// 'open' | 'closing' | 'closed', used for colours
+export const getStatusTone = (status) => {
+  if (!status.isOpen) return 'closed'
+  return status.minutesUntilClose <= CLOSING_SOON_MINUTES ? 'closing' : 'open'
+}
+
+// Text colour class for each tone
+export const STATUS_TEXT_CLASSES = {
+  open: 'text-green-700',
+  closing: 'text-orange-600',
+  closed: 'text-gray-500'
+}
+
+// `t` is the translator from useI18n
+export const formatOpenStatus = (status, t) => {
+  if (status.isOpen) {
+    return status.minutesUntilClose <= CLOSING_SOON_MINUTES
+      ? t('openStatus.closingSoon', { count: status.minutesUntilClose })
+      : t('openStatus.openUntil', { time: status.closesAt })
+  }
+  if (!status.opensAt) return t('openStatus.closed')
+  if (status.daysUntilOpen === 0) return t('openStatus.opensToday', { time: status.opensAt })
+  if (status.daysUntilOpen === 1) return t('openStatus.opensTomorrow', { time: status.opensAt })
+  return t('openStatus.opensOn', { day: t(`openStatus.on.${status.weekday}`), time: status.opensAt })
+}
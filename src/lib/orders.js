@@ -0,0 +1,16 @@
+// IDs look like ED-LX4K2P-7QH: a prefix, a base36 timestamp and a random suffix
+export const generateId = (prefix) => {
+  const time = Date.now().toString(36).toUpperCase()
+  const random = Math.random().toString(36).slice(2, 5).toUpperCase().padEnd(3, '0')
+  return `${prefix}-${time}-${random}`
+}
+
+export const createOrder = ({ sender, recipient, parcel, office }) => ({
+  id: generateId('ED'),
+  createdAt: new Date().toISOString(),
+  status: 'created',
+  sender,
+  recipient,
+  parcel,
+  officeId: office.id
+})
@@ -0,0 +1,36 @@
+// Countries we serve, with their calling code and the national number
+// format (trunk 0 included) used to check the prefix and length. UK numbers
+// have ten digits after the 0, except some 01 area codes and 0800 freephone
+// with nine; there is no 04 or 06 range.
+export const PHONE_COUNTRIES = {
+  FR: { code: '33', national: /^0[1-9]\d{8}$/ },
+  GB: { code: '44', national: /^0(?:[1235789]\d{9}|1\d{8}|800\d{6})$/ }
+}
+
+// Region part of a BCP 47 tag: 'en-GB' -> 'GB'
+export const getRegion = (tag) => tag.split('-')[1]
+
+// Parses what a visitor typed into E.164 (+33612345678), or null when it is
+// not a valid number. National numbers are read as `country` numbers;
+// anything else needs the +/00 prefix.
+export const normalizePhone = (value, country) => {
+  const compact = value.replace(/\(0\)/g, '').replace(/[\s().-]/g, '')
+  if (!/^(\+|00)?\d+$/.test(compact)) return null
+
+  let digits
+  if (compact.startsWith('+')) {
+    digits = compact.slice(1)
+  } else if (compact.startsWith('00')) {
+    digits = compact.slice(2)
+  } else {
+    const rules = PHONE_COUNTRIES[country]
+    if (!rules || !rules.national.test(compact)) return null
+    digits = rules.code + compact.slice(1)
+  }
+
+  const known = Object.values(PHONE_COUNTRIES).find(({ code }) => digits.startsWith(code))
+  if (known) {
+    return known.national.test(`0${digits.slice(known.code.length)}`) ? `+${digits}` : null
+  }
+  return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : null
+}
@@ -0,0 +1,14 @@
+// Reasons a pickup booking is refused, used as i18n keys under pickup.error.*
+export const PICKUP_ERRORS = {
+  past: 'past',
+  full: 'full',
+  duplicate: 'duplicate',
+  unavailable: 'unavailable',
+  failed: 'failed'
+}
+
+export const createPickupError = (reason, message) => {
+  const error = new Error(message || `Pickup not booked: ${reason}`)
+  error.reason = reason
+  return error
+}
@@ -0,0 +1,41 @@
+import { PICKUP_ERRORS, createPickupError } from './errors'
+
+// Error bodies are often not JSON (proxies, HTML error pages)
+const readJson = (response) => response.json().catch(() => ({}))
+
+const request = (url, options) =>
+  fetch(url, { ...options, headers: { Accept: 'application/json', ...options?.headers } }).catch(error => {
+    throw createPickupError(PICKUP_ERRORS.failed, error.message)
+  })
+
+// Booking service shared by every visitor and the offices:
+//   GET  <url>?office=<id> -> [booking, ...]
+//   POST <url> with a booking as JSON -> the stored booking, with its `id`
+// The service checks capacity and double bookings again and refuses with
+// 409 { "reason": "full" | "duplicate" | "past" | "unavailable" }.
+export const createHttpBookingSource = ({ url }) => ({
+  list: async (officeId) => {
+    if (!url) throw createPickupError(PICKUP_ERRORS.failed, 'VITE_PICKUP_API_URL is not set')
+
+    const response = await request(`${url}?office=${encodeURIComponent(officeId)}`)
+    if (!response.ok) throw createPickupError(PICKUP_ERRORS.failed, `Booking service answered ${response.status}`)
+    return response.json()
+  },
+
+  add: async (booking) => {
+    if (!url) throw createPickupError(PICKUP_ERRORS.failed, 'VITE_PICKUP_API_URL is not set')
+
+    const response = await request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(booking)
+    })
+    if (response.ok) return response.json()
+
+    const { reason } = await readJson(response)
+    throw createPickupError(
+      response.status === 409 && Object.values(PICKUP_ERRORS).includes(reason) ? reason : PICKUP_ERRORS.failed,
+      `Booking service answered ${response.status}`
+    )
+  }
+})
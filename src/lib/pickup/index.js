@@ -0,0 +1,21 @@
+import { createMockBookingSource } from './mock'
+import { createHttpBookingSource } from './http'
+
+export { PICKUP_ERRORS } from './errors'
+export { PICKUP_LEAD_MINUTES, PICKUP_DAYS, findPickupOffice, getPickupSlots, bookPickup } from './slots'
+
+// A booking source offers list(officeId), resolving to that office's
+// bookings, and add(booking), resolving to the stored booking with its `id`.
+// Both reject with an Error whose `reason` is one of PICKUP_ERRORS.
+const SOURCES = {
+  http: () => createHttpBookingSource({ url: import.meta.env.VITE_PICKUP_API_URL }),
+  mock: () => createMockBookingSource()
+}
+
+export const createBookingSource = (name = import.meta.env.VITE_PICKUP_SOURCE || 'mock') => {
+  const factory = SOURCES[name]
+  if (!factory) {
+    throw new Error(`Unknown pickup booking source: ${name}`)
+  }
+  return factory()
+}
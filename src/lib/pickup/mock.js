@@ -0,0 +1,33 @@
+import { generateId } from '../orders'
+
+const BOOKINGS_KEY = 'pickupBookings'
+
+const readBookings = () => {
+  try {
+    const bookings = JSON.parse(localStorage.getItem(BOOKINGS_KEY))
+    return Array.isArray(bookings) ? bookings : []
+  } catch {
+    return []
+  }
+}
+
+// Demo source keeping bookings in this browser's localStorage. Capacity and
+// double bookings are only checked against this browser's own bookings, and
+// no office ever hears about them.
+export const createMockBookingSource = ({ delay = 400 } = {}) => {
+  const wait = (value) => new Promise(resolve => setTimeout(() => resolve(value), delay))
+
+  return {
+    list: (officeId) => wait(readBookings().filter(booking => booking.officeId === officeId)),
+
+    add: (booking) => {
+      const saved = { ...booking, id: generateId('PU') }
+      try {
+        localStorage.setItem(BOOKINGS_KEY, JSON.stringify([...readBookings(), saved]))
+      } catch {
+        // Without storage bookings only last until the page is reloaded
+      }
+      return wait(saved)
+    }
+  }
+}
@@ -0,0 +1,87 @@
+import { findDeliveryZone } from '../deliveryZones'
+import { getLocalTime, getScheduleForDate, toMinutes, addDays } from '../openingHours'
+import { PICKUP_ERRORS, createPickupError } from './errors'
+
+// A courier needs this long to get to the customer, so later slots only
+export const PICKUP_LEAD_MINUTES = 60
+
+// Days ahead that can be booked, today included
+export const PICKUP_DAYS = 7
+
+const toTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+
+// Office whose delivery zone covers `coords`, or null when the address is out
+// of coverage or the office there does not collect parcels
+export const findPickupOffice = (coords, offices) => {
+  const zone = findDeliveryZone(coords)
+  const office = zone && offices.find(({ id }) => id === zone.officeId)
+  return office?.services.includes('pickup') ? office : null
+}
+
+const isTooLate = (date, start, local) =>
+  date < local.date || (date === local.date && toMinutes(start) < local.minutes + PICKUP_LEAD_MINUTES)
+
+// Pickup slots for the next PICKUP_DAYS days, grouped by date. Slots split
+// the office's opening hours for that date (holidays included) into
+// `pickup.slotMinutes` chunks and are in the office's own time. Slots too
+// close to `now` are left out; full ones stay with `available: 0`.
+export const getPickupSlots = (office, bookings, now = new Date()) => {
+  const { slotMinutes, capacity } = office.pickup
+  const local = getLocalTime(now, office.timezone)
+  const days = []
+
+  for (let offset = 0; offset < PICKUP_DAYS; offset++) {
+    const date = addDays(local.date, offset)
+    const schedule = getScheduleForDate(office, date)
+    if (!schedule) continue
+
+    const slots = []
+    const close = toMinutes(schedule.close)
+    for (let minutes = toMinutes(schedule.open); minutes + slotMinutes <= close; minutes += slotMinutes) {
+      const start = toTime(minutes)
+      if (isTooLate(date, start, local)) continue
+
+      const id = `${office.id}/${date}/${start}`
+      const booked = bookings.filter(booking => booking.slotId === id).length
+      slots.push({ id, date, start, end: toTime(minutes + slotMinutes), available: Math.max(0, capacity - booked) })
+    }
+    if (slots.length) days.push({ date, slots })
+  }
+  return days
+}
+
+// Books a slot through a booking source (see index.js). The office's
+// bookings are fetched again first, so a slot filled meanwhile or gone past
+// is refused with an error whose `reason` is one of PICKUP_ERRORS; the
+// source may still refuse it for the same reasons. The same phone number
+// cannot hold a slot twice.
+export const bookPickup = async (source, { office, slotId, location, name, phone }, now = new Date()) => {
+  const bookings = await source.list(office.id)
+  const slot = getPickupSlots(office, bookings, now)
+    .flatMap(day => day.slots)
+    .find(({ id }) => id === slotId)
+
+  if (!slot) {
+    const [, date, start] = slotId.split('/')
+    const isPast = date && start && isTooLate(date, start, getLocalTime(now, office.timezone))
+    throw createPickupError(isPast ? PICKUP_ERRORS.past : PICKUP_ERRORS.unavailable)
+  }
+  if (bookings.some(booking => booking.slotId === slotId && booking.phone === phone)) {
+    throw createPickupError(PICKUP_ERRORS.duplicate)
+  }
+  if (slot.available === 0) throw createPickupError(PICKUP_ERRORS.full)
+
+  return source.add({
+    createdAt: now.toISOString(),
+    slotId,
+    date: slot.date,
+    start: slot.start,
+    end: slot.end,
+    officeId: office.id,
+    address: location.address,
+    coords: location.coords,
+    name,
+    phone
+  })
+}
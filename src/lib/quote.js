@@ -0,0 +1,81 @@
+// Prices in the tariff table are in EUR; GBP quotes are converted with
+// the configured rate. Edit this table (or pass your own) to change pricing.
+export const DEFAULT_TARIFFS = {
+  volumetricDivisor: 5000,
+  minChargeableWeight: 0.5,
+  fuelSurcharge: 0.08,
+  currencies: {
+    EUR: { rate: 1 },
+    GBP: { rate: 0.86 }
+  },
+  zones: {
+    domestic: { base: 6.5, perKm: 0.09, perKg: 0.8 },
+    international: { base: 14, perKm: 0.12, perKg: 1.4 }
+  },
+  // Delivery time is a range in `days` or `hours`; titles live in the
+  // catalogues under `quote.speed.<id>`
+  speeds: {
+    economy: { multiplier: 0.85, days: [4, 6] },
+    standard: { multiplier: 1, days: [2, 3] },
+    express: { multiplier: 1.6, hours: [24, 48] }
+  },
+  // Destination countries billed in GBP; everything else is quoted in EUR
+  gbpCountries: ['GB', 'IM', 'JE', 'GG']
+}
+
+const round = (value) => Math.round(value * 100) / 100
+
+export const getVolumetricWeight = ({ length, width, height }, tariffs = DEFAULT_TARIFFS) =>
+  (length * width * height) / tariffs.volumetricDivisor
+
+export const getChargeableWeight = (parcel, tariffs = DEFAULT_TARIFFS) =>
+  Math.max(parcel.weight, getVolumetricWeight(parcel, tariffs), tariffs.minChargeableWeight)
+
+// Returns a price breakdown for a route of `distance` metres from an office
+// in `originCountry` to an address in `destinationCountry`. Breakdown lines
+// carry an id and, where the label needs one, a `value` to show in it.
+export const calculateQuote = ({ distance, parcel, speed, originCountry, destinationCountry }, tariffs = DEFAULT_TARIFFS) => {
+  const zone = tariffs.zones[originCountry === destinationCountry ? 'domestic' : 'international']
+  const speedTariff = tariffs.speeds[speed]
+  if (!speedTariff) {
+    throw new Error(`Unknown service speed: ${speed}`)
+  }
+
+  const currency = tariffs.gbpCountries.includes(destinationCountry) ? 'GBP' : 'EUR'
+  const { rate } = tariffs.currencies[currency]
+
+  const distanceKm = distance / 1000
+  const volumetricWeight = getVolumetricWeight(parcel, tariffs)
+  const chargeableWeight = getChargeableWeight(parcel, tariffs)
+
+  const base = zone.base * rate
+  const distanceCharge = distanceKm * zone.perKm * rate
+  const weightCharge = chargeableWeight * zone.perKg * rate
+  const speedCharge = (base + distanceCharge + weightCharge) * (speedTariff.multiplier - 1)
+  const subtotal = base + distanceCharge + weightCharge + speedCharge
+  const fuelCharge = subtotal * tariffs.fuelSurcharge
+
+  return {
+    currency,
+    distanceKm: round(distanceKm),
+    volumetricWeight: round(volumetricWeight),
+    chargeableWeight: round(chargeableWeight),
+    lines: [
+      { id: 'base', amount: round(base) },
+      { id: 'distance', value: Math.round(distanceKm), amount: round(distanceCharge) },
+      { id: 'weight', value: round(chargeableWeight), amount: round(weightCharge) },
+      { id: 'speed', value: speed, amount: round(speedCharge) },
+      { id: 'fuel', amount: round(fuelCharge) }
+    ],
+    total: round(subtotal + fuelCharge)
+  }
+}
+
+export const formatPrice = (amount, currency, tag = 'ru-RU') =>
+  new Intl.NumberFormat(tag, { style: 'currency', currency }).format(amount)
+
+// "2-3 дня", "24-48 hours": anything with a `days` or `hours` range
+export const formatDeliveryTime = ({ days, hours }, t) => {
+  const [min, max] = days || hours
+  return t(days ? 'quote.time.days' : 'quote.time.hours', { min, max, count: max })
+}
@@ -0,0 +1,72 @@
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+
+// Reference points of a route as shown on the map: origin, office, drop-offs
+export const getRouteStops = (route) =>
+  route.points.map((coords, index) => ({ coords, label: route.labels[index] }))
+
+// Stops are { coords, label }; the track follows route.path
+export const toGpx = (route, { name, stops = [] }) => {
+  const waypoints = stops.map(({ coords: [lat, lon], label }) =>
+    `  <wpt lat="${lat}" lon="${lon}"><name>${escapeXml(label)}</name></wpt>`
+  )
+  const trackPoints = route.path.map(([lat, lon]) => `      <trkpt lat="${lat}" lon="${lon}"></trkpt>`)
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Express Delivery" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(name)}</name></metadata>`,
+    ...waypoints,
+    '  <trk>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <trkseg>',
+    ...trackPoints,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].join('\n')
+}
+
+// KML lists coordinates as lon,lat[,alt]
+export const toKml = (route, { name, stops = [] }) => {
+  const placemarks = stops.map(({ coords: [lat, lon], label }) => [
+    '    <Placemark>',
+    `      <name>${escapeXml(label)}</name>`,
+    `      <Point><coordinates>${lon},${lat},0</coordinates></Point>`,
+    '    </Placemark>'
+  ].join('\n'))
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+    ...placemarks,
+    '    <Placemark>',
+    `      <name>${escapeXml(name)}</name>`,
+    '      <LineString>',
+    '        <tessellate>1</tessellate>',
+    `        <coordinates>${route.path.map(([lat, lon]) => `${lon},${lat},0`).join(' ')}</coordinates>`,
+    '      </LineString>',
+    '    </Placemark>',
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n')
+}
+
+export const downloadFile = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,43 @@
+import { haversineDistance } from './nearestOffices'
+
+const pathLength = (start, stops) =>
+  stops.reduce((total, stop, index) =>
+    total + haversineDistance(index === 0 ? start : stops[index - 1].location.coords, stop.location.coords), 0)
+
+// Reorders drop-offs to shorten an open path that starts at `start`:
+// nearest-neighbour first, then 2-opt swaps until nothing improves.
+// Straight-line distances keep it instant for the handful of stops a
+// courier handles; it is a heuristic, not a guaranteed optimum.
+export const optimizeStopOrder = (start, stops) => {
+  const remaining = [...stops]
+  let order = []
+  let current = start
+
+  while (remaining.length) {
+    let nearestIndex = 0
+    remaining.forEach((stop, index) => {
+      if (haversineDistance(current, stop.location.coords) < haversineDistance(current, remaining[nearestIndex].location.coords)) {
+        nearestIndex = index
+      }
+    })
+    const [nearest] = remaining.splice(nearestIndex, 1)
+    order.push(nearest)
+    current = nearest.location.coords
+  }
+
+  let improved = true
+  while (improved) {
+    improved = false
+    for (let i = 0; i < order.length - 1; i++) {
+      for (let j = i + 1; j < order.length; j++) {
+        const candidate = [...order.slice(0, i), ...order.slice(i, j + 1).reverse(), ...order.slice(j + 1)]
+        if (pathLength(start, candidate) + 1e-6 < pathLength(start, order)) {
+          order = candidate
+          improved = true
+        }
+      }
+    }
+  }
+
+  return order
+}
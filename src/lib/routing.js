@@ -0,0 +1,11 @@
+// Titles live in the message catalogues under `routing.mode.<id>`
+export const ROUTING_MODES = [
+  { id: 'auto' },
+  { id: 'pedestrian' },
+  { id: 'masstransit' },
+  { id: 'bicycle' }
+]
+
+// Only the driving router knows about traffic
+export const supportsTraffic = (provider, mode) =>
+  Boolean(provider?.supportsTraffic) && mode === 'auto'
@@ -0,0 +1,134 @@
+// In delivery order; titles live in the catalogues under `tracking.status.<id>`
+export const TRACKING_STATUSES = [
+  { id: 'accepted' },
+  { id: 'in_transit' },
+  { id: 'out_for_delivery' },
+  { id: 'delivered' }
+]
+
+export const getStatusIndex = (status) =>
+  TRACKING_STATUSES.findIndex(({ id }) => id === status)
+
+export const getLastPosition = (shipment) => {
+  const located = shipment.events.filter(event => event.coords)
+  return located.length ? located[located.length - 1] : null
+}
+
+export const normalizeTrackingNumber = (value) =>
+  value.trim().toUpperCase().replace(/\s+/g, '')
+
+// A tracking source is any object with a `lookup(trackingNumber)` method
+// resolving to a shipment or null, and `addOrder(order)` for orders placed
+// on the page. Shipments carry a chronological list of events:
+// { status, timestamp, location, coords }.
+
+const HOUR = 60 * 60 * 1000
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR).toISOString()
+
+const acceptedEvent = (office, timestamp) => ({
+  status: 'accepted',
+  timestamp,
+  location: office.address,
+  coords: office.coords
+})
+
+// Demo shipments name their office by id; those whose office is missing
+// from the registry are left out
+const seedShipments = (offices) => {
+  const findOffice = (id) => offices.find(office => office.id === id)
+  const paris = findOffice('paris')
+  const london = findOffice('london')
+
+  return [
+    paris && {
+      trackingNumber: 'ED-DEMO-001',
+      officeId: paris.id,
+      destination: 'Berlin, Germany',
+      events: [
+        acceptedEvent(paris, hoursAgo(52)),
+        { status: 'in_transit', timestamp: hoursAgo(40), location: 'Brussels, Belgium', coords: [50.8503, 4.3517] },
+        { status: 'out_for_delivery', timestamp: hoursAgo(6), location: 'Berlin, Germany', coords: [52.52, 13.405] },
+        { status: 'delivered', timestamp: hoursAgo(2), location: 'Berlin, Germany', coords: [52.5163, 13.3777] }
+      ]
+    },
+    london && {
+      trackingNumber: 'ED-DEMO-002',
+      officeId: london.id,
+      destination: 'Amsterdam, Netherlands',
+      events: [
+        acceptedEvent(london, hoursAgo(20)),
+        { status: 'in_transit', timestamp: hoursAgo(9), location: 'Calais, France', coords: [50.9513, 1.8587] }
+      ]
+    },
+    paris && {
+      trackingNumber: 'ED-DEMO-003',
+      officeId: paris.id,
+      destination: 'Lyon, France',
+      events: [
+        acceptedEvent(paris, hoursAgo(26)),
+        { status: 'in_transit', timestamp: hoursAgo(18), location: 'Dijon, France', coords: [47.322, 5.0415] },
+        { status: 'out_for_delivery', timestamp: hoursAgo(1), location: 'Lyon, France', coords: [45.764, 4.8357] }
+      ]
+    }
+  ].filter(Boolean)
+}
+
+// In-memory source for development: a few seeded shipments plus any order
+// registered through `addOrder`, answered with a small artificial delay.
+export const createMockTrackingSource = (offices, { delay = 400 } = {}) => {
+  const shipments = new Map(
+    seedShipments(offices).map(shipment => [shipment.trackingNumber, shipment])
+  )
+
+  return {
+    lookup: (trackingNumber) => new Promise(resolve => {
+      setTimeout(() => {
+        resolve(shipments.get(normalizeTrackingNumber(trackingNumber)) || null)
+      }, delay)
+    }),
+
+    // An order whose office is no longer listed is still accepted, just
+    // without a place on the map
+    addOrder: (order) => {
+      const office = offices.find(off => off.id === order.officeId)
+      shipments.set(order.id, {
+        trackingNumber: order.id,
+        officeId: order.officeId,
+        destination: order.recipient.location?.address || order.recipient.address,
+        events: [office ? acceptedEvent(office, order.createdAt) : { status: 'accepted', timestamp: order.createdAt }]
+      })
+    }
+  }
+}
+
+// Tracking service answering GET <url>/<tracking number> with a shipment as
+// JSON, or 404 for an unknown number. Orders placed on the page are only
+// kept in the browser for now, so addOrder has nothing to tell it.
+export const createHttpTrackingSource = ({ url }) => ({
+  lookup: async (trackingNumber) => {
+    if (!url) throw new Error('VITE_TRACKING_API_URL is not set')
+
+    const response = await fetch(`${url.replace(/\/$/, '')}/${encodeURIComponent(normalizeTrackingNumber(trackingNumber))}`, {
+      headers: { Accept: 'application/json' }
+    })
+    if (response.status === 404) return null
+    if (!response.ok) throw new Error(`Tracking service answered ${response.status}`)
+    return response.json()
+  },
+
+  addOrder: () => {}
+})
+
+const SOURCES = {
+  http: () => createHttpTrackingSource({ url: import.meta.env.VITE_TRACKING_API_URL }),
+  mock: (offices) => createMockTrackingSource(offices)
+}
+
+export const createTrackingSource = (offices, name = import.meta.env.VITE_TRACKING_SOURCE || 'mock') => {
+  const factory = SOURCES[name]
+  if (!factory) {
+    throw new Error(`Unknown tracking source: ${name}`)
+  }
+  return factory(offices)
+}
@@ -0,0 +1,332 @@
+// English catalogue. Plural messages use the categories one and other.
+export default {
+  'meta.title': 'Express Delivery - Delivery across Europe',
+
+  // Office status
+  'openStatus.openUntil': 'Open now · until {time}',
+  'openStatus.closingSoon': 'Open now · closes in {count} min',
+  'openStatus.closed': 'Closed',
+  'openStatus.opensToday': 'Closed · opens at {time}',
+  'openStatus.opensTomorrow': 'Closed · opens tomorrow at {time}',
+  'openStatus.opensOn': 'Closed · opens {day} at {time}',
+  'openStatus.on.mon': 'on Monday',
+  'openStatus.on.tue': 'on Tuesday',
+  'openStatus.on.wed': 'on Wednesday',
+  'openStatus.on.thu': 'on Thursday',
+  'openStatus.on.fri': 'on Friday',
+  'openStatus.on.sat': 'on Saturday',
+  'openStatus.on.sun': 'on Sunday',
+
+  // Routing
+  'routing.mode.auto': 'Car',
+  'routing.mode.pedestrian': 'Walk',
+  'routing.mode.masstransit': 'Transit',
+  'routing.mode.bicycle': 'Bike',
+  'routing.unsupported': '{mode}: not available on this map',
+  'routing.traffic': 'Consider traffic',
+  'routes.alternatives': 'Route options',
+  'routes.noTransfers': 'no transfers',
+  'routes.transfers': {
+    one: '{count} transfer',
+    other: '{count} transfers'
+  },
+  'routes.legs': 'Route legs',
+  'routes.total': 'Total',
+  'nearest.routeToNearest': 'Route to the nearest office',
+  'nearest.badge': 'nearest',
+  'waypoints.title': 'Drop-off points',
+  'waypoints.optimize': 'Optimise',
+  'waypoints.remove': 'Remove stop',
+  'waypoints.add': 'Add stop',
+  'waypoints.placeholder': 'Recipient address',
+  'waypoints.notFound': 'Address not found',
+  'waypoints.geocodeError': 'Could not check the address',
+
+  // Directions
+  'directions.title': 'Turn-by-turn directions',
+  'directions.print': 'Print',
+  'directions.snapshot': 'Route overview',
+  'directions.routeName': 'Route to the {city} office',
+  'directions.depart': 'Start driving',
+  'directions.arrive': 'You have arrived',
+  'directions.roundaboutExit': 'At the roundabout, take exit {exit}',
+  'directions.roundabout': 'Go through the roundabout',
+  'directions.straight': 'Continue straight ahead',
+  'directions.continue': 'Continue',
+  'directions.uturn': 'Make a U-turn',
+  'directions.turn': 'Turn {direction}',
+  'directions.towardsStop': 'Head towards stop {index}',
+  'directions.modifier.left': 'left',
+  'directions.modifier.right': 'right',
+  'directions.modifier.slight left': 'slightly left',
+  'directions.modifier.slight right': 'slightly right',
+  'directions.modifier.sharp left': 'sharp left',
+  'directions.modifier.sharp right': 'sharp right',
+
+  // Tracking
+  'tracking.title': 'Track your parcel',
+  'tracking.subtitle': 'Enter your shipment number to see its status and location on the map',
+  'tracking.placeholder': 'Tracking number, e.g. ED-DEMO-002',
+  'tracking.submit': 'Track',
+  'tracking.destination': 'Destination: {destination}',
+  'tracking.error.empty': 'Enter a tracking number',
+  'tracking.error.notFound': 'Shipment not found. Please check the number.',
+  'tracking.error.failed': 'Tracking failed. Please try again.',
+  'tracking.status.accepted': 'Accepted at the office',
+  'tracking.status.in_transit': 'In transit',
+  'tracking.status.out_for_delivery': 'Out for delivery',
+  'tracking.status.delivered': 'Delivered',
+  'pickup.title': 'Book a courier pickup',
+  'pickup.subtitle': 'A courier collects your parcel from your address at a time that suits you',
+  'pickup.field.address': 'Pickup address',
+  'pickup.check': 'Check',
+  'pickup.office': 'Served by the {city} office',
+  'pickup.field.slot': 'Pickup time',
+  'pickup.localTime': 'Times are local to {city}',
+  'pickup.available': {
+    one: '{count} place left',
+    other: '{count} places left'
+  },
+  'pickup.full': 'Fully booked',
+  'pickup.noSlots': 'No free times in the coming week',
+  'pickup.submit': 'Book the pickup',
+  'pickup.success.title': 'Pickup booked!',
+  'pickup.success.number': 'Booking number: {id}',
+  'pickup.summary.when': 'When',
+  'pickup.summary.address': 'Address',
+  'pickup.summary.contact': 'Contact',
+  'pickup.summary.office': 'Office',
+  'pickup.another': 'Book another pickup',
+  'pickup.error.address': 'Enter an address',
+  'pickup.error.addressNotFound': 'Address not found. Please check your input.',
+  'pickup.error.geocode': 'Could not check the address. Please try again.',
+  'pickup.error.outsideZone': 'We do not collect parcels at this address yet',
+  'pickup.error.slot': 'Choose a pickup time',
+  'pickup.error.name': 'Enter a name',
+  'pickup.error.phone': 'Enter a valid phone number',
+  'pickup.error.past': 'This time has already passed. Please choose another.',
+  'pickup.error.full': 'This time is now fully booked. Please choose another.',
+  'pickup.error.duplicate': 'You already have a pickup booked at this time',
+  'pickup.error.unavailable': 'This time is not available. Please choose another.',
+  'pickup.error.failed': 'Could not book the pickup. Please try again.',
+
+  // Quote
+  'quote.title': 'Delivery cost',
+  'quote.summary': '{distance} km · {duration} on the way',
+  'quote.parcel.weight': 'kg',
+  'quote.parcel.length': 'L',
+  'quote.parcel.width': 'W',
+  'quote.parcel.height': 'H',
+  'quote.speed.economy': 'Economy',
+  'quote.speed.standard': 'Standard',
+  'quote.speed.express': 'Express',
+  'quote.time.days': {
+    one: '{min}-{max} day',
+    other: '{min}-{max} days'
+  },
+  'quote.time.hours': {
+    one: '{min}-{max} hour',
+    other: '{min}-{max} hours'
+  },
+  'quote.line.base': 'Base rate',
+  'quote.line.distance': 'Distance ({value} km)',
+  'quote.line.weight': 'Weight ({value} kg)',
+  'quote.line.speed': 'Speed: {value}',
+  'quote.line.fuel': 'Fuel surcharge',
+  'quote.volumetric': 'Priced by volumetric weight: {weight} kg',
+  'quote.total': 'Total',
+
+  // Order wizard
+  'order.title': 'Order a delivery',
+  'order.step.sender': 'Sender',
+  'order.step.recipient': 'Recipient',
+  'order.step.parcel': 'Parcel',
+  'order.step.office': 'Office',
+  'order.step.review': 'Review',
+  'order.field.name': 'Name',
+  'order.field.phone': 'Phone',
+  'order.field.email': 'Email',
+  'order.field.address': 'Address',
+  'order.field.weight': 'Weight, kg',
+  'order.field.length': 'Length, cm',
+  'order.field.width': 'Width, cm',
+  'order.field.height': 'Height, cm',
+  'order.field.description': 'Contents',
+  'order.placeholder.name': 'John Smith',
+  'order.placeholder.email': 'john@example.com',
+  'order.placeholder.address': 'Street, number, city, country',
+  'order.placeholder.description': 'Documents, clothes, electronics...',
+  'order.addressFound': 'Address found: {address}',
+  'order.error.name': 'Enter a name',
+  'order.error.phone': 'Enter a phone number',
+  'order.error.email': 'Enter a valid email',
+  'order.error.address': 'Enter an address',
+  'order.error.weight': 'Enter the parcel weight',
+  'order.error.maxWeight': 'The maximum parcel weight is 30 kg',
+  'order.error.dimensions': 'Enter the parcel dimensions',
+  'order.error.maxDimension': 'The maximum side length is 150 cm',
+  'order.error.addressNotFound': 'Address not found. Please check your input.',
+  'order.error.geocode': 'Could not check the address. Please try again.',
+  'order.error.office': 'Choose the sending office',
+  'order.review.sender': 'Sender',
+  'order.review.recipient': 'Recipient',
+  'order.review.parcel': 'Parcel',
+  'order.review.parcelSize': '{weight} kg, {length}×{width}×{height} cm',
+  'order.review.office': 'Sending office',
+  'order.success.title': 'Order placed!',
+  'order.success.number': 'Your order number:',
+  'order.success.done': 'Done',
+  'order.back': 'Back',
+  'order.next': 'Next',
+  'order.confirm': 'Confirm order',
+  'order.validating': 'Checking address...',
+
+  // Page
+  'common.close': 'Close',
+  'language.label': 'Language',
+  'nav.services': 'Services',
+  'nav.tracking': 'Tracking',
+  'nav.pickup': 'Courier pickup',
+  'nav.offices': 'Offices',
+  'nav.contact': 'Contact',
+  'nav.order': 'Order a delivery',
+  'nav.menu': 'Menu',
+  'hero.title': 'Fast delivery',
+  'hero.titleAccent': 'across Europe',
+  'hero.subtitle': 'Our offices in {cities} provide reliable delivery 24/7',
+  'hero.latestOrder': 'Order',
+  'hero.latestOrderOffice': 'has been placed and will be accepted at the {city} office',
+  'features.title': 'Why choose us?',
+  'features.subtitle': 'Reliability, speed and quality in every delivery',
+  'features.speed.title': 'Lightning-fast delivery',
+  'features.speed.text': 'Express delivery anywhere in Europe within 24-48 hours, with your goods guaranteed safe',
+  'features.safety.title': '100% secure',
+  'features.safety.text': 'Full cargo insurance and real-time tracking at every stage',
+  'features.network.title': 'European network',
+  'features.network.text': 'Offices in key European cities make sure orders are handled quickly',
+  'cta.title': 'Ready to start?',
+  'cta.text': 'Order a delivery now and get 15% off your first order!',
+  'footer.about': 'Reliable delivery across Europe with offices in {cities}',
+  'footer.copyright': '© 2024 Express Delivery. All rights reserved.',
+
+  // Search and map
+  'search.placeholder': 'Enter an address to search or build a route...',
+  'search.submit': 'Search',
+  'search.locating': 'Finding your location...',
+  'search.myLocation': 'My location',
+  'search.picking': 'Click on the map (Esc to cancel)',
+  'search.pickOnMap': 'Pick on the map',
+  'search.longPressHint': 'or press and hold a point on the map',
+  'search.error.empty': 'Enter an address to search',
+  'search.error.notFound': 'Address not found. Try a different query.',
+  'search.error.failed': 'Search failed. Please try again.',
+  'map.notReady': 'The map has not loaded yet. Try again in a few seconds.',
+  'map.loading': 'Loading the map…',
+  'map.unavailable': 'The map is unavailable, so search and routes on this site are not working. Office addresses and route links are shown in its place.',
+  'map.failed.title': 'The map could not be loaded',
+  'map.failed.text': 'Check your connection and try again. Meanwhile you can plan a route to an office in OpenStreetMap.',
+  'map.retry': 'Try again',
+  'map.routeExternal': 'Route in OpenStreetMap',
+  'zones.toggle': 'Delivery zones',
+  'zones.tier': 'Zone {tier}',
+  'zones.area.1': 'city',
+  'zones.area.2': 'suburbs',
+  'zones.area.3': 'region',
+  'zones.served': 'This address is served by our {city} office.',
+  'zones.details': 'Zone {tier}, standard delivery: {time}.',
+  'zones.outside': 'This address is outside our delivery zones. Contact us and we will find a solution.',
+  'geolocation.unsupported': 'Your browser does not support geolocation. Enter the address manually.',
+  'geolocation.denied': 'Location access is blocked. Allow it in your browser settings or enter the address manually.',
+  'geolocation.unavailable': 'Could not determine your location. Please try again later.',
+  'geolocation.timeout': 'Finding your location took too long. Please try again.',
+  'route.buildTo': 'Build a route to:',
+  'route.reset': 'Clear route',
+  'route.origin': 'Sender',
+  'route.stop': 'Stop {index}',
+  'route.error.noOrigin': 'Enter a starting address to build a route',
+  'route.error.mode': 'Could not build a route with this travel mode. Try another one.',
+  'route.error.notFound': 'Address not found. Please check your input.',
+  'route.error.failed': 'Route building failed. Please try again.',
+  'route.error.optimizeOrigin': 'Find a starting address or build a route first',
+
+  // Office card
+  'office.address': 'Address',
+  'office.phone': 'Phone',
+  'office.email': 'Email',
+  'office.hours': 'Opening hours',
+  'office.buildRoute': 'Build a route',
+  'office.service.express': 'Express',
+  'office.service.freight': 'Freight',
+  'office.service.pickup': 'Pickup',
+  'office.service.international': 'International',
+
+  // Office list
+  'officeList.title': 'Offices on the map',
+  'officeList.city': 'City',
+  'officeList.anyCity': 'All cities',
+  'officeList.service': 'Service',
+  'officeList.anyService': 'All services',
+  'officeList.openNow': 'Open now',
+  'officeList.empty': 'No matching offices in this part of the map.',
+  'officeList.showAll': 'Show all offices',
+
+  // Office directory
+  'offices.title': 'Our offices',
+  'offices.subtitle': 'Addresses, phone numbers and opening hours of every office',
+  'offices.details': 'Details',
+  'offices.detailsFor': 'Details for the {city} office',
+
+  // Contact form
+  'contact.title': 'Get in touch',
+  'contact.subtitle': 'Have questions? Leave a request and we will get back to you shortly',
+  'contact.field.name': 'Your name',
+  'contact.field.email': 'Email',
+  'contact.field.phone': 'Phone',
+  'contact.field.message': 'Message',
+  'contact.field.topic': 'Topic',
+  'contact.field.office': 'Office',
+  'contact.field.attachments': 'Attachments',
+  'contact.placeholder.name': 'John Smith',
+  'contact.placeholder.email': 'john@example.com',
+  'contact.placeholder.phone': '+44 20 7123 4567',
+  'contact.placeholder.message': 'Tell us about your request...',
+  'contact.placeholder.topic': 'Choose a topic',
+  'contact.placeholder.office': 'Any office',
+  'contact.topic.quote': 'Price quote',
+  'contact.topic.claim': 'Claim',
+  'contact.topic.tracking': 'Tracking issue',
+  'contact.topic.partnership': 'Partnership',
+  'contact.attachmentsHint': 'JPG, PNG or PDF: up to {maxFiles} files, {maxSize} MB each',
+  'contact.sending': 'Sending...',
+  'contact.submit': 'Send message',
+  'contact.success.title': 'Message sent!',
+  'contact.success.text': 'Thank you for contacting us. We will get back to you shortly.',
+  'contact.success.again': 'Send another message',
+  'contact.error.generic': 'Something went wrong',
+  'contact.error.network': 'Network error. Please try again.',
+  'contact.error.unavailable': 'Sending messages is unavailable right now. Please call or email us.',
+  'contact.queue.queued': {
+    one: 'You are offline. {count} message is saved and will be sent automatically once you are back online.',
+    other: 'You are offline. {count} messages are saved and will be sent automatically once you are back online.'
+  },
+  'contact.queue.sent': {
+    one: 'Your saved message has been sent.',
+    other: 'Your {count} saved messages have been sent.'
+  },
+  'contact.queue.dropped': {
+    one: 'The server did not accept your saved message. Please send it again.',
+    other: 'The server did not accept {count} saved messages. Please send them again.'
+  },
+  'contact.error.nameRequired': 'Enter your name',
+  'contact.error.nameLength': 'The name must be at most {max} characters',
+  'contact.error.emailRequired': 'Enter your email',
+  'contact.error.email': 'Check the email address',
+  'contact.error.phone': 'Enter a UK number or an international one, e.g. +33 6 12 34 56 78',
+  'contact.error.messageRequired': 'Write a message',
+  'contact.error.messageLength': 'The message must be {min} to {max} characters long',
+  'contact.error.cooldown': 'Your message has been sent. You can send another one in {seconds} s',
+  'contact.error.topic': 'Choose what your message is about',
+  'contact.error.attachmentCount': 'You can attach at most {maxFiles} files',
+  'contact.error.attachmentType': 'Only JPG, PNG or PDF files can be attached',
+  'contact.error.attachmentSize': 'Each file must be at most {maxSize} MB'
+}
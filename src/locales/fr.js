@@ -0,0 +1,333 @@
+// French catalogue. Plural messages use the categories one, many and other;
+// `many` only applies to round millions, so it falls back to `other`.
+export default {
+  'meta.title': 'Express Delivery - Livraison dans toute l’Europe',
+
+  // Office status
+  'openStatus.openUntil': 'Ouvert · jusqu’à {time}',
+  'openStatus.closingSoon': 'Ouvert · ferme dans {count} min',
+  'openStatus.closed': 'Fermé',
+  'openStatus.opensToday': 'Fermé · ouvre à {time}',
+  'openStatus.opensTomorrow': 'Fermé · ouvre demain à {time}',
+  'openStatus.opensOn': 'Fermé · ouvre {day} à {time}',
+  'openStatus.on.mon': 'lundi',
+  'openStatus.on.tue': 'mardi',
+  'openStatus.on.wed': 'mercredi',
+  'openStatus.on.thu': 'jeudi',
+  'openStatus.on.fri': 'vendredi',
+  'openStatus.on.sat': 'samedi',
+  'openStatus.on.sun': 'dimanche',
+
+  // Routing
+  'routing.mode.auto': 'Voiture',
+  'routing.mode.pedestrian': 'À pied',
+  'routing.mode.masstransit': 'Transports',
+  'routing.mode.bicycle': 'Vélo',
+  'routing.unsupported': '{mode} : indisponible sur cette carte',
+  'routing.traffic': 'Tenir compte du trafic',
+  'routes.alternatives': 'Itinéraires possibles',
+  'routes.noTransfers': 'sans correspondance',
+  'routes.transfers': {
+    one: '{count} correspondance',
+    other: '{count} correspondances'
+  },
+  'routes.legs': 'Étapes de l’itinéraire',
+  'routes.total': 'Total',
+  'nearest.routeToNearest': 'Itinéraire vers l’agence la plus proche',
+  'nearest.badge': 'la plus proche',
+  'waypoints.title': 'Points de livraison',
+  'waypoints.optimize': 'Optimiser',
+  'waypoints.remove': 'Supprimer l’arrêt',
+  'waypoints.add': 'Ajouter un arrêt',
+  'waypoints.placeholder': 'Adresse du destinataire',
+  'waypoints.notFound': 'Adresse introuvable',
+  'waypoints.geocodeError': 'Impossible de vérifier l’adresse',
+
+  // Directions
+  'directions.title': 'Instructions détaillées',
+  'directions.print': 'Imprimer',
+  'directions.snapshot': 'Aperçu de l’itinéraire',
+  'directions.routeName': 'Itinéraire vers l’agence de {city}',
+  'directions.depart': 'Démarrez',
+  'directions.arrive': 'Vous êtes arrivé',
+  'directions.roundaboutExit': 'Au rond-point, prenez la sortie {exit}',
+  'directions.roundabout': 'Traversez le rond-point',
+  'directions.straight': 'Continuez tout droit',
+  'directions.continue': 'Continuez',
+  'directions.uturn': 'Faites demi-tour',
+  'directions.turn': 'Tournez {direction}',
+  'directions.towardsStop': 'Dirigez-vous vers l’arrêt {index}',
+  'directions.modifier.left': 'à gauche',
+  'directions.modifier.right': 'à droite',
+  'directions.modifier.slight left': 'légèrement à gauche',
+  'directions.modifier.slight right': 'légèrement à droite',
+  'directions.modifier.sharp left': 'franchement à gauche',
+  'directions.modifier.sharp right': 'franchement à droite',
+
+  // Tracking
+  'tracking.title': 'Suivre un colis',
+  'tracking.subtitle': 'Saisissez le numéro d’envoi pour voir son statut et sa position sur la carte',
+  'tracking.placeholder': 'Numéro de suivi, par ex. ED-DEMO-002',
+  'tracking.submit': 'Suivre',
+  'tracking.destination': 'Destination : {destination}',
+  'tracking.error.empty': 'Saisissez un numéro de suivi',
+  'tracking.error.notFound': 'Envoi introuvable. Vérifiez le numéro.',
+  'tracking.error.failed': 'Échec du suivi. Veuillez réessayer.',
+  'tracking.status.accepted': 'Pris en charge à l’agence',
+  'tracking.status.in_transit': 'En transit',
+  'tracking.status.out_for_delivery': 'En cours de livraison',
+  'tracking.status.delivered': 'Livré',
+  'pickup.title': 'Réserver un enlèvement',
+  'pickup.subtitle': 'Un coursier récupère votre colis à votre adresse, au moment qui vous convient',
+  'pickup.field.address': 'Adresse d’enlèvement',
+  'pickup.check': 'Vérifier',
+  'pickup.office': 'Agence en charge : {city}',
+  'pickup.field.slot': 'Créneau d’enlèvement',
+  'pickup.localTime': 'Heures locales de {city}',
+  'pickup.available': {
+    one: '{count} place restante',
+    other: '{count} places restantes'
+  },
+  'pickup.full': 'Complet',
+  'pickup.noSlots': 'Aucun créneau libre dans la semaine à venir',
+  'pickup.submit': 'Réserver l’enlèvement',
+  'pickup.success.title': 'Enlèvement réservé !',
+  'pickup.success.number': 'Numéro de réservation : {id}',
+  'pickup.summary.when': 'Quand',
+  'pickup.summary.address': 'Adresse',
+  'pickup.summary.contact': 'Contact',
+  'pickup.summary.office': 'Agence',
+  'pickup.another': 'Réserver un autre enlèvement',
+  'pickup.error.address': 'Saisissez une adresse',
+  'pickup.error.addressNotFound': 'Adresse introuvable. Vérifiez votre saisie.',
+  'pickup.error.geocode': 'Impossible de vérifier l’adresse. Réessayez.',
+  'pickup.error.outsideZone': 'Nous n’effectuons pas encore d’enlèvement à cette adresse',
+  'pickup.error.slot': 'Choisissez un créneau',
+  'pickup.error.name': 'Saisissez un nom',
+  'pickup.error.phone': 'Saisissez un numéro de téléphone valide',
+  'pickup.error.past': 'Ce créneau est déjà passé. Choisissez-en un autre.',
+  'pickup.error.full': 'Ce créneau est désormais complet. Choisissez-en un autre.',
+  'pickup.error.duplicate': 'Vous avez déjà un enlèvement réservé sur ce créneau',
+  'pickup.error.unavailable': 'Ce créneau n’est pas disponible. Choisissez-en un autre.',
+  'pickup.error.failed': 'Impossible de réserver l’enlèvement. Réessayez.',
+
+  // Quote
+  'quote.title': 'Coût de la livraison',
+  'quote.summary': '{distance} km · {duration} de trajet',
+  'quote.parcel.weight': 'kg',
+  'quote.parcel.length': 'L',
+  'quote.parcel.width': 'l',
+  'quote.parcel.height': 'H',
+  'quote.speed.economy': 'Économique',
+  'quote.speed.standard': 'Standard',
+  'quote.speed.express': 'Express',
+  'quote.time.days': {
+    one: '{min}-{max} jour',
+    other: '{min}-{max} jours'
+  },
+  'quote.time.hours': {
+    one: '{min}-{max} heure',
+    other: '{min}-{max} heures'
+  },
+  'quote.line.base': 'Tarif de base',
+  'quote.line.distance': 'Distance ({value} km)',
+  'quote.line.weight': 'Poids ({value} kg)',
+  'quote.line.speed': 'Rapidité : {value}',
+  'quote.line.fuel': 'Surcharge carburant',
+  'quote.volumetric': 'Tarifé au poids volumétrique : {weight} kg',
+  'quote.total': 'Total',
+
+  // Order wizard
+  'order.title': 'Commander une livraison',
+  'order.step.sender': 'Expéditeur',
+  'order.step.recipient': 'Destinataire',
+  'order.step.parcel': 'Colis',
+  'order.step.office': 'Agence',
+  'order.step.review': 'Vérification',
+  'order.field.name': 'Nom',
+  'order.field.phone': 'Téléphone',
+  'order.field.email': 'E-mail',
+  'order.field.address': 'Adresse',
+  'order.field.weight': 'Poids, kg',
+  'order.field.length': 'Longueur, cm',
+  'order.field.width': 'Largeur, cm',
+  'order.field.height': 'Hauteur, cm',
+  'order.field.description': 'Contenu',
+  'order.placeholder.name': 'Jean Dupont',
+  'order.placeholder.email': 'jean@example.com',
+  'order.placeholder.address': 'Rue, numéro, ville, pays',
+  'order.placeholder.description': 'Documents, vêtements, électronique...',
+  'order.addressFound': 'Adresse trouvée : {address}',
+  'order.error.name': 'Saisissez un nom',
+  'order.error.phone': 'Saisissez un numéro de téléphone',
+  'order.error.email': 'Saisissez un e-mail valide',
+  'order.error.address': 'Saisissez une adresse',
+  'order.error.weight': 'Saisissez le poids du colis',
+  'order.error.maxWeight': 'Le poids maximal d’un colis est de 30 kg',
+  'order.error.dimensions': 'Saisissez les dimensions du colis',
+  'order.error.maxDimension': 'La longueur maximale d’un côté est de 150 cm',
+  'order.error.addressNotFound': 'Adresse introuvable. Vérifiez votre saisie.',
+  'order.error.geocode': 'Impossible de vérifier l’adresse. Veuillez réessayer.',
+  'order.error.office': 'Choisissez l’agence d’expédition',
+  'order.review.sender': 'Expéditeur',
+  'order.review.recipient': 'Destinataire',
+  'order.review.parcel': 'Colis',
+  'order.review.parcelSize': '{weight} kg, {length}×{width}×{height} cm',
+  'order.review.office': 'Agence d’expédition',
+  'order.success.title': 'Commande enregistrée !',
+  'order.success.number': 'Votre numéro de commande :',
+  'order.success.done': 'Terminé',
+  'order.back': 'Retour',
+  'order.next': 'Suivant',
+  'order.confirm': 'Confirmer la commande',
+  'order.validating': 'Vérification de l’adresse...',
+
+  // Page
+  'common.close': 'Fermer',
+  'language.label': 'Langue',
+  'nav.services': 'Services',
+  'nav.tracking': 'Suivi',
+  'nav.pickup': 'Enlèvement',
+  'nav.offices': 'Agences',
+  'nav.contact': 'Contact',
+  'nav.order': 'Commander une livraison',
+  'nav.menu': 'Menu',
+  'hero.title': 'Livraison rapide',
+  'hero.titleAccent': 'dans toute l’Europe',
+  'hero.subtitle': 'Nos agences à {cities} assurent une livraison fiable 24h/24 et 7j/7',
+  'hero.latestOrder': 'La commande',
+  'hero.latestOrderOffice': 'est enregistrée et sera prise en charge à l’agence de {city}',
+  'features.title': 'Pourquoi nous choisir ?',
+  'features.subtitle': 'Fiabilité, rapidité et qualité à chaque livraison',
+  'features.speed.title': 'Livraison ultra-rapide',
+  'features.speed.text': 'Livraison express partout en Europe en 24 à 48 heures, avec la garantie que vos marchandises arrivent intactes',
+  'features.safety.title': '100 % sécurisé',
+  'features.safety.text': 'Assurance complète des marchandises et suivi en temps réel à chaque étape',
+  'features.network.title': 'Réseau européen',
+  'features.network.text': 'Des agences dans les grandes villes européennes pour un traitement rapide des commandes',
+  'cta.title': 'Prêt à commencer ?',
+  'cta.text': 'Commandez une livraison dès maintenant et profitez de 15 % de réduction sur votre première commande !',
+  'footer.about': 'Livraison fiable dans toute l’Europe avec des agences à {cities}',
+  'footer.copyright': '© 2024 Express Delivery. Tous droits réservés.',
+
+  // Search and map
+  'search.placeholder': 'Saisissez une adresse pour la rechercher ou créer un itinéraire...',
+  'search.submit': 'Rechercher',
+  'search.locating': 'Localisation en cours...',
+  'search.myLocation': 'Ma position',
+  'search.picking': 'Cliquez sur la carte (Échap pour annuler)',
+  'search.pickOnMap': 'Choisir sur la carte',
+  'search.longPressHint': 'ou maintenez le doigt sur un point de la carte',
+  'search.error.empty': 'Saisissez une adresse à rechercher',
+  'search.error.notFound': 'Adresse introuvable. Essayez une autre recherche.',
+  'search.error.failed': 'Échec de la recherche. Veuillez réessayer.',
+  'map.notReady': 'La carte n’est pas encore chargée. Réessayez dans quelques secondes.',
+  'map.loading': 'Chargement de la carte…',
+  'map.unavailable': 'La carte est indisponible : la recherche et les itinéraires du site ne fonctionnent pas. Les adresses des agences et des liens d’itinéraire sont affichés à sa place.',
+  'map.failed.title': 'Impossible de charger la carte',
+  'map.failed.text': 'Vérifiez votre connexion et réessayez. En attendant, vous pouvez calculer un itinéraire vers une agence dans OpenStreetMap.',
+  'map.retry': 'Réessayer',
+  'map.routeExternal': 'Itinéraire dans OpenStreetMap',
+  'zones.toggle': 'Zones de livraison',
+  'zones.tier': 'Zone {tier}',
+  'zones.area.1': 'ville',
+  'zones.area.2': 'banlieue',
+  'zones.area.3': 'région',
+  'zones.served': 'Cette adresse est desservie par notre agence de {city}.',
+  'zones.details': 'Zone {tier}, livraison standard : {time}.',
+  'zones.outside': 'Cette adresse est hors de nos zones de livraison. Contactez-nous pour trouver une solution.',
+  'geolocation.unsupported': 'Votre navigateur ne prend pas en charge la géolocalisation. Saisissez l’adresse manuellement.',
+  'geolocation.denied': 'L’accès à la position est bloqué. Autorisez-le dans les réglages du navigateur ou saisissez l’adresse manuellement.',
+  'geolocation.unavailable': 'Impossible de déterminer votre position. Réessayez plus tard.',
+  'geolocation.timeout': 'La localisation a pris trop de temps. Veuillez réessayer.',
+  'route.buildTo': 'Itinéraire vers :',
+  'route.reset': 'Effacer l’itinéraire',
+  'route.origin': 'Expéditeur',
+  'route.stop': 'Arrêt {index}',
+  'route.error.noOrigin': 'Saisissez une adresse de départ pour créer un itinéraire',
+  'route.error.mode': 'Impossible de créer un itinéraire avec ce mode de transport. Essayez-en un autre.',
+  'route.error.notFound': 'Adresse introuvable. Vérifiez votre saisie.',
+  'route.error.failed': 'Échec du calcul de l’itinéraire. Veuillez réessayer.',
+  'route.error.optimizeOrigin': 'Recherchez d’abord une adresse de départ ou créez un itinéraire',
+
+  // Office card
+  'office.address': 'Adresse',
+  'office.phone': 'Téléphone',
+  'office.email': 'E-mail',
+  'office.hours': 'Horaires d’ouverture',
+  'office.buildRoute': 'Créer un itinéraire',
+  'office.service.express': 'Express',
+  'office.service.freight': 'Fret',
+  'office.service.pickup': 'Enlèvement',
+  'office.service.international': 'International',
+
+  // Office list
+  'officeList.title': 'Agences sur la carte',
+  'officeList.city': 'Ville',
+  'officeList.anyCity': 'Toutes les villes',
+  'officeList.service': 'Service',
+  'officeList.anyService': 'Tous les services',
+  'officeList.openNow': 'Ouvert maintenant',
+  'officeList.empty': 'Aucune agence correspondante dans cette zone de la carte.',
+  'officeList.showAll': 'Afficher toutes les agences',
+
+  // Office directory
+  'offices.title': 'Nos agences',
+  'offices.subtitle': 'Adresses, téléphones et horaires de toutes nos agences',
+  'offices.details': 'Détails',
+  'offices.detailsFor': 'Détails de l’agence de {city}',
+
+  // Contact form
+  'contact.title': 'Contactez-nous',
+  'contact.subtitle': 'Des questions ? Laissez une demande et nous vous répondrons rapidement',
+  'contact.field.name': 'Votre nom',
+  'contact.field.email': 'E-mail',
+  'contact.field.phone': 'Téléphone',
+  'contact.field.message': 'Message',
+  'contact.field.topic': 'Sujet',
+  'contact.field.office': 'Agence',
+  'contact.field.attachments': 'Pièces jointes',
+  'contact.placeholder.name': 'Jean Dupont',
+  'contact.placeholder.email': 'jean@example.com',
+  'contact.placeholder.phone': '+33 6 12 34 56 78',
+  'contact.placeholder.message': 'Parlez-nous de votre demande...',
+  'contact.placeholder.topic': 'Choisissez un sujet',
+  'contact.placeholder.office': 'N’importe quelle agence',
+  'contact.topic.quote': 'Demande de devis',
+  'contact.topic.claim': 'Réclamation',
+  'contact.topic.tracking': 'Problème de suivi',
+  'contact.topic.partnership': 'Partenariat',
+  'contact.attachmentsHint': 'JPG, PNG ou PDF : jusqu’à {maxFiles} fichiers de {maxSize} Mo chacun',
+  'contact.sending': 'Envoi...',
+  'contact.submit': 'Envoyer le message',
+  'contact.success.title': 'Message envoyé !',
+  'contact.success.text': 'Merci de nous avoir contactés. Nous vous répondrons rapidement.',
+  'contact.success.again': 'Envoyer un autre message',
+  'contact.error.generic': 'Une erreur s’est produite',
+  'contact.error.network': 'Erreur réseau. Veuillez réessayer.',
+  'contact.error.unavailable': 'L’envoi de messages est indisponible pour le moment. Appelez-nous ou écrivez-nous par e-mail.',
+  'contact.queue.queued': {
+    one: 'Pas de connexion. {count} message est enregistré et sera envoyé automatiquement au retour du réseau.',
+    other: 'Pas de connexion. {count} messages sont enregistrés et seront envoyés automatiquement au retour du réseau.'
+  },
+  'contact.queue.sent': {
+    one: 'Votre message enregistré a été envoyé.',
+    other: 'Vos {count} messages enregistrés ont été envoyés.'
+  },
+  'contact.queue.dropped': {
+    one: 'Le serveur n’a pas accepté votre message enregistré. Merci de le renvoyer.',
+    other: 'Le serveur n’a pas accepté {count} messages enregistrés. Merci de les renvoyer.'
+  },
+  'contact.error.nameRequired': 'Saisissez votre nom',
+  'contact.error.nameLength': 'Le nom ne doit pas dépasser {max} caractères',
+  'contact.error.emailRequired': 'Saisissez votre e-mail',
+  'contact.error.email': 'Vérifiez l’adresse e-mail',
+  'contact.error.phone': 'Saisissez un numéro français ou international, par ex. +44 20 7123 4567',
+  'contact.error.messageRequired': 'Écrivez un message',
+  'contact.error.messageLength': 'Le message doit comporter entre {min} et {max} caractères',
+  'contact.error.cooldown': 'Votre message a été envoyé. Vous pourrez en envoyer un autre dans {seconds} s',
+  'contact.error.topic': 'Choisissez le sujet de votre message',
+  'contact.error.attachmentCount': 'Vous pouvez joindre au maximum {maxFiles} fichiers',
+  'contact.error.attachmentType': 'Seuls les fichiers JPG, PNG ou PDF peuvent être joints',
+  'contact.error.attachmentSize': 'Chaque fichier doit faire au maximum {maxSize} Mo'
+}
@@ -0,0 +1,347 @@
+// Default catalogue: every key must exist here. Plural messages use the
+// Intl.PluralRules categories for Russian: one, few, many, other.
+export default {
+  'meta.title': 'Express Delivery - Доставка по Европе',
+
+  // Office status
+  'openStatus.openUntil': 'Открыто сейчас · до {time}',
+  'openStatus.closingSoon': 'Открыто сейчас · закроется через {count} мин',
+  'openStatus.closed': 'Закрыто',
+  'openStatus.opensToday': 'Закрыто · откроется в {time}',
+  'openStatus.opensTomorrow': 'Закрыто · откроется завтра в {time}',
+  'openStatus.opensOn': 'Закрыто · откроется {day} в {time}',
+  'openStatus.on.mon': 'в понедельник',
+  'openStatus.on.tue': 'во вторник',
+  'openStatus.on.wed': 'в среду',
+  'openStatus.on.thu': 'в четверг',
+  'openStatus.on.fri': 'в пятницу',
+  'openStatus.on.sat': 'в субботу',
+  'openStatus.on.sun': 'в воскресенье',
+
+  // Routing
+  'routing.mode.auto': 'Авто',
+  'routing.mode.pedestrian': 'Пешком',
+  'routing.mode.masstransit': 'Транспорт',
+  'routing.mode.bicycle': 'Велосипед',
+  'routing.unsupported': '{mode}: недоступно для этой карты',
+  'routing.traffic': 'Учитывать пробки',
+  'routes.alternatives': 'Варианты маршрута',
+  'routes.noTransfers': 'без пересадок',
+  'routes.transfers': {
+    one: '{count} пересадка',
+    few: '{count} пересадки',
+    many: '{count} пересадок',
+    other: '{count} пересадки'
+  },
+  'routes.legs': 'Участки маршрута',
+  'routes.total': 'Всего',
+  'nearest.routeToNearest': 'Маршрут до ближайшего',
+  'nearest.badge': 'ближайший',
+  'waypoints.title': 'Точки доставки',
+  'waypoints.optimize': 'Оптимизировать',
+  'waypoints.remove': 'Удалить точку',
+  'waypoints.add': 'Добавить точку',
+  'waypoints.placeholder': 'Адрес получателя',
+  'waypoints.notFound': 'Адрес не найден',
+  'waypoints.geocodeError': 'Не удалось проверить адрес',
+
+  // Directions
+  'directions.title': 'Маршрут по шагам',
+  'directions.print': 'Печать',
+  'directions.snapshot': 'Схема маршрута',
+  'directions.routeName': 'Маршрут до офиса {city}',
+  'directions.depart': 'Начните движение',
+  'directions.arrive': 'Вы прибыли',
+  'directions.roundaboutExit': 'На круговом движении — {exit}-й съезд',
+  'directions.roundabout': 'Проезжайте круговое движение',
+  'directions.straight': 'Продолжайте движение прямо',
+  'directions.continue': 'Продолжайте движение',
+  'directions.uturn': 'Развернитесь',
+  'directions.turn': 'Поверните {direction}',
+  'directions.towardsStop': 'Двигайтесь к точке {index}',
+  'directions.modifier.left': 'налево',
+  'directions.modifier.right': 'направо',
+  'directions.modifier.slight left': 'плавно налево',
+  'directions.modifier.slight right': 'плавно направо',
+  'directions.modifier.sharp left': 'резко налево',
+  'directions.modifier.sharp right': 'резко направо',
+
+  // Tracking
+  'tracking.title': 'Отслеживание посылки',
+  'tracking.subtitle': 'Введите номер отправления, чтобы узнать его статус и местоположение на карте',
+  'tracking.placeholder': 'Номер отслеживания, например ED-DEMO-002',
+  'tracking.submit': 'Отследить',
+  'tracking.destination': 'Назначение: {destination}',
+  'tracking.error.empty': 'Введите номер отслеживания',
+  'tracking.error.notFound': 'Отправление не найдено. Проверьте номер.',
+  'tracking.error.failed': 'Ошибка отслеживания. Попробуйте снова.',
+  'tracking.status.accepted': 'Принято в офисе',
+  'tracking.status.in_transit': 'В пути',
+  'tracking.status.out_for_delivery': 'Передано курьеру',
+  'tracking.status.delivered': 'Доставлено',
+  'pickup.title': 'Вызов курьера',
+  'pickup.subtitle': 'Курьер заберёт посылку по вашему адресу в удобное время',
+  'pickup.field.address': 'Адрес забора',
+  'pickup.check': 'Проверить',
+  'pickup.office': 'Курьера отправит офис: {city}',
+  'pickup.field.slot': 'Время забора',
+  'pickup.localTime': 'Время местное — {city}',
+  'pickup.available': {
+    one: 'Осталось {count} место',
+    few: 'Осталось {count} места',
+    many: 'Осталось {count} мест',
+    other: 'Осталось {count} места'
+  },
+  'pickup.full': 'Всё время занято',
+  'pickup.noSlots': 'На ближайшую неделю свободного времени нет',
+  'pickup.submit': 'Вызвать курьера',
+  'pickup.success.title': 'Курьер вызван!',
+  'pickup.success.number': 'Номер заявки: {id}',
+  'pickup.summary.when': 'Когда',
+  'pickup.summary.address': 'Адрес',
+  'pickup.summary.contact': 'Контакт',
+  'pickup.summary.office': 'Офис',
+  'pickup.another': 'Вызвать ещё одного курьера',
+  'pickup.error.address': 'Введите адрес',
+  'pickup.error.addressNotFound': 'Адрес не найден. Проверьте правильность ввода.',
+  'pickup.error.geocode': 'Не удалось проверить адрес. Попробуйте ещё раз.',
+  'pickup.error.outsideZone': 'По этому адресу курьеры пока не выезжают',
+  'pickup.error.slot': 'Выберите время забора',
+  'pickup.error.name': 'Введите имя',
+  'pickup.error.phone': 'Введите корректный номер телефона',
+  'pickup.error.past': 'Это время уже прошло. Выберите другое.',
+  'pickup.error.full': 'На это время курьеров больше нет. Выберите другое.',
+  'pickup.error.duplicate': 'У вас уже есть заявка на это время',
+  'pickup.error.unavailable': 'Это время недоступно. Выберите другое.',
+  'pickup.error.failed': 'Не удалось записать вызов курьера. Попробуйте ещё раз.',
+
+  // Quote
+  'quote.title': 'Стоимость доставки',
+  'quote.summary': '{distance} км · {duration} в пути',
+  'quote.parcel.weight': 'кг',
+  'quote.parcel.length': 'Д',
+  'quote.parcel.width': 'Ш',
+  'quote.parcel.height': 'В',
+  'quote.speed.economy': 'Эконом',
+  'quote.speed.standard': 'Стандарт',
+  'quote.speed.express': 'Экспресс',
+  'quote.time.days': {
+    one: '{min}-{max} день',
+    few: '{min}-{max} дня',
+    many: '{min}-{max} дней',
+    other: '{min}-{max} дня'
+  },
+  'quote.time.hours': {
+    one: '{min}-{max} час',
+    few: '{min}-{max} часа',
+    many: '{min}-{max} часов',
+    other: '{min}-{max} часа'
+  },
+  'quote.line.base': 'Базовый тариф',
+  'quote.line.distance': 'Расстояние ({value} км)',
+  'quote.line.weight': 'Вес ({value} кг)',
+  'quote.line.speed': 'Скорость: {value}',
+  'quote.line.fuel': 'Топливный сбор',
+  'quote.volumetric': 'Расчёт по объёмному весу: {weight} кг',
+  'quote.total': 'Итого',
+
+  // Order wizard
+  'order.title': 'Заказать доставку',
+  'order.step.sender': 'Отправитель',
+  'order.step.recipient': 'Получатель',
+  'order.step.parcel': 'Посылка',
+  'order.step.office': 'Офис',
+  'order.step.review': 'Проверка',
+  'order.field.name': 'Имя',
+  'order.field.phone': 'Телефон',
+  'order.field.email': 'Email',
+  'order.field.address': 'Адрес',
+  'order.field.weight': 'Вес, кг',
+  'order.field.length': 'Длина, см',
+  'order.field.width': 'Ширина, см',
+  'order.field.height': 'Высота, см',
+  'order.field.description': 'Описание вложения',
+  'order.placeholder.name': 'Иван Иванов',
+  'order.placeholder.email': 'ivan@example.com',
+  'order.placeholder.address': 'Улица, дом, город, страна',
+  'order.placeholder.description': 'Документы, одежда, электроника...',
+  'order.addressFound': 'Адрес найден: {address}',
+  'order.error.name': 'Укажите имя',
+  'order.error.phone': 'Укажите телефон',
+  'order.error.email': 'Укажите корректный email',
+  'order.error.address': 'Укажите адрес',
+  'order.error.weight': 'Укажите вес посылки',
+  'order.error.maxWeight': 'Максимальный вес посылки — 30 кг',
+  'order.error.dimensions': 'Укажите габариты посылки',
+  'order.error.maxDimension': 'Максимальная длина стороны — 150 см',
+  'order.error.addressNotFound': 'Адрес не найден. Проверьте правильность ввода.',
+  'order.error.geocode': 'Не удалось проверить адрес. Попробуйте снова.',
+  'order.error.office': 'Выберите офис отправления',
+  'order.review.sender': 'Отправитель',
+  'order.review.recipient': 'Получатель',
+  'order.review.parcel': 'Посылка',
+  'order.review.parcelSize': '{weight} кг, {length}×{width}×{height} см',
+  'order.review.office': 'Офис отправления',
+  'order.success.title': 'Заказ оформлен!',
+  'order.success.number': 'Номер вашего заказа:',
+  'order.success.done': 'Готово',
+  'order.back': 'Назад',
+  'order.next': 'Далее',
+  'order.confirm': 'Подтвердить заказ',
+  'order.validating': 'Проверка адреса...',
+
+  // Page
+  'common.close': 'Закрыть',
+  'language.label': 'Язык',
+  'nav.services': 'Услуги',
+  'nav.tracking': 'Отслеживание',
+  'nav.pickup': 'Вызов курьера',
+  'nav.offices': 'Офисы',
+  'nav.contact': 'Контакты',
+  'nav.order': 'Заказать доставку',
+  'nav.menu': 'Меню',
+  'hero.title': 'Быстрая доставка',
+  'hero.titleAccent': 'по всей Европе',
+  'hero.subtitle': 'Наши офисы в {cities} обеспечивают надежную доставку 24/7',
+  'hero.latestOrder': 'Заказ',
+  'hero.latestOrderOffice': 'оформлен и будет принят в офисе {city}',
+  'features.title': 'Почему выбирают нас?',
+  'features.subtitle': 'Надежность, скорость и качество в каждой доставке',
+  'features.speed.title': 'Молниеносная доставка',
+  'features.speed.text': 'Экспресс-доставка в любую точку Европы за 24-48 часов с гарантией сохранности груза',
+  'features.safety.title': '100% безопасность',
+  'features.safety.text': 'Полное страхование грузов и отслеживание в реальном времени на каждом этапе',
+  'features.network.title': 'Европейская сеть',
+  'features.network.text': 'Офисы в ключевых городах Европы обеспечивают быструю обработку заказов',
+  'cta.title': 'Готовы начать?',
+  'cta.text': 'Закажите доставку прямо сейчас и получите скидку 15% на первый заказ!',
+  'footer.about': 'Надежная служба доставки по всей Европе с офисами в {cities}',
+  'footer.copyright': '© 2024 Express Delivery. Все права защищены.',
+
+  // Search and map
+  'search.placeholder': 'Введите адрес для поиска или построения маршрута...',
+  'search.submit': 'Найти',
+  'search.locating': 'Определяем местоположение...',
+  'search.myLocation': 'Моё местоположение',
+  'search.picking': 'Кликните по карте (Esc — отмена)',
+  'search.pickOnMap': 'Указать на карте',
+  'search.longPressHint': 'или удерживайте точку на карте',
+  'search.error.empty': 'Введите адрес для поиска',
+  'search.error.notFound': 'Адрес не найден. Попробуйте другой запрос.',
+  'search.error.failed': 'Ошибка поиска. Попробуйте снова.',
+  'map.notReady': 'Карта ещё не загрузилась. Попробуйте через несколько секунд.',
+  'map.loading': 'Загружаем карту…',
+  'map.unavailable': 'Карта недоступна, поэтому поиск и маршруты на сайте не работают. Адреса офисов и ссылки на маршруты — на месте карты.',
+  'map.failed.title': 'Не удалось загрузить карту',
+  'map.failed.text': 'Проверьте подключение и попробуйте ещё раз. Пока можно построить маршрут до офиса в OpenStreetMap.',
+  'map.retry': 'Повторить',
+  'map.routeExternal': 'Маршрут в OpenStreetMap',
+  'zones.toggle': 'Зоны доставки',
+  'zones.tier': 'Зона {tier}',
+  'zones.area.1': 'город',
+  'zones.area.2': 'пригороды',
+  'zones.area.3': 'регион',
+  'zones.served': 'Адрес обслуживает офис в {city}.',
+  'zones.details': 'Зона {tier}, стандартная доставка: {time}.',
+  'zones.outside': 'Адрес вне зоны доставки. Напишите нам, и мы подберём вариант.',
+  'geolocation.unsupported': 'Ваш браузер не поддерживает геолокацию. Введите адрес вручную.',
+  'geolocation.denied': 'Доступ к геолокации запрещён. Разрешите его в настройках браузера или введите адрес вручную.',
+  'geolocation.unavailable': 'Не удалось определить местоположение. Попробуйте позже.',
+  'geolocation.timeout': 'Определение местоположения заняло слишком много времени. Попробуйте снова.',
+  'route.buildTo': 'Построить маршрут до:',
+  'route.reset': 'Сбросить маршрут',
+  'route.origin': 'Отправитель',
+  'route.stop': 'Точка {index}',
+  'route.error.noOrigin': 'Введите адрес отправления для построения маршрута',
+  'route.error.mode': 'Не удалось построить маршрут выбранным способом. Попробуйте другой.',
+  'route.error.notFound': 'Адрес не найден. Проверьте правильность ввода.',
+  'route.error.failed': 'Ошибка построения маршрута. Попробуйте снова.',
+  'route.error.optimizeOrigin': 'Сначала найдите адрес отправления или постройте маршрут',
+
+  // Office card
+  'office.address': 'Адрес',
+  'office.phone': 'Телефон',
+  'office.email': 'Email',
+  'office.hours': 'Часы работы',
+  'office.buildRoute': 'Построить маршрут',
+  'office.service.express': 'Экспресс',
+  'office.service.freight': 'Грузы',
+  'office.service.pickup': 'Забор груза',
+  'office.service.international': 'Международная доставка',
+
+  // Office list
+  'officeList.title': 'Офисы на карте',
+  'officeList.city': 'Город',
+  'officeList.anyCity': 'Все города',
+  'officeList.service': 'Услуга',
+  'officeList.anyService': 'Все услуги',
+  'officeList.openNow': 'Открыто сейчас',
+  'officeList.empty': 'В этой области карты нет подходящих офисов.',
+  'officeList.showAll': 'Показать все офисы',
+
+  // Office directory
+  'offices.title': 'Наши офисы',
+  'offices.subtitle': 'Адреса, телефоны и часы работы всех офисов',
+  'offices.details': 'Подробнее',
+  'offices.detailsFor': 'Подробнее об офисе: {city}',
+
+  // Contact form
+  'contact.title': 'Свяжитесь с нами',
+  'contact.subtitle': 'Есть вопросы? Оставьте заявку и мы свяжемся с вами в ближайшее время',
+  'contact.field.name': 'Ваше имя',
+  'contact.field.email': 'Email',
+  'contact.field.phone': 'Телефон',
+  'contact.field.message': 'Сообщение',
+  'contact.field.topic': 'Тема',
+  'contact.field.office': 'Офис',
+  'contact.field.attachments': 'Вложения',
+  'contact.placeholder.name': 'Иван Иванов',
+  'contact.placeholder.email': 'ivan@example.com',
+  'contact.placeholder.phone': '+33 6 12 34 56 78',
+  'contact.placeholder.message': 'Расскажите о вашем запросе...',
+  'contact.placeholder.topic': 'Выберите тему',
+  'contact.placeholder.office': 'Любой офис',
+  'contact.topic.quote': 'Расчёт стоимости',
+  'contact.topic.claim': 'Претензия',
+  'contact.topic.tracking': 'Проблема с отслеживанием',
+  'contact.topic.partnership': 'Сотрудничество',
+  'contact.attachmentsHint': 'JPG, PNG или PDF: до {maxFiles} файлов, не больше {maxSize} МБ каждый',
+  'contact.sending': 'Отправка...',
+  'contact.submit': 'Отправить сообщение',
+  'contact.success.title': 'Сообщение отправлено!',
+  'contact.success.text': 'Спасибо за обращение. Мы свяжемся с вами в ближайшее время.',
+  'contact.success.again': 'Отправить еще одно сообщение',
+  'contact.error.generic': 'Что-то пошло не так',
+  'contact.error.network': 'Ошибка сети. Попробуйте снова.',
+  'contact.error.unavailable': 'Отправка сообщений сейчас недоступна. Позвоните или напишите нам на почту.',
+  'contact.queue.queued': {
+    one: 'Нет подключения. {count} сообщение сохранено и уйдёт автоматически, когда сеть появится.',
+    few: 'Нет подключения. {count} сообщения сохранены и уйдут автоматически, когда сеть появится.',
+    many: 'Нет подключения. {count} сообщений сохранены и уйдут автоматически, когда сеть появится.',
+    other: 'Нет подключения. {count} сообщения сохранены и уйдут автоматически, когда сеть появится.'
+  },
+  'contact.queue.sent': {
+    one: 'Сохранённое сообщение отправлено.',
+    few: 'Сохранённые сообщения отправлены ({count}).',
+    many: 'Сохранённые сообщения отправлены ({count}).',
+    other: 'Сохранённые сообщения отправлены ({count}).'
+  },
+  'contact.queue.dropped': {
+    one: 'Сервер не принял сохранённое сообщение. Отправьте его, пожалуйста, ещё раз.',
+    few: 'Сервер не принял {count} сохранённых сообщения. Отправьте их, пожалуйста, ещё раз.',
+    many: 'Сервер не принял {count} сохранённых сообщений. Отправьте их, пожалуйста, ещё раз.',
+    other: 'Сервер не принял {count} сохранённых сообщения. Отправьте их, пожалуйста, ещё раз.'
+  },
+  'contact.error.nameRequired': 'Укажите имя',
+  'contact.error.nameLength': 'Имя не длиннее {max} символов',
+  'contact.error.emailRequired': 'Укажите email',
+  'contact.error.email': 'Проверьте адрес email',
+  'contact.error.phone': 'Введите номер в международном формате, например +33 6 12 34 56 78',
+  'contact.error.messageRequired': 'Напишите сообщение',
+  'contact.error.messageLength': 'Сообщение должно быть от {min} до {max} символов',
+  'contact.error.cooldown': 'Сообщение уже отправлено. Следующее можно отправить через {seconds} с',
+  'contact.error.topic': 'Выберите тему обращения',
+  'contact.error.attachmentCount': 'Можно приложить не больше {maxFiles} файлов',
+  'contact.error.attachmentType': 'Можно приложить только JPG, PNG или PDF',
+  'contact.error.attachmentSize': 'Каждый файл должен быть не больше {maxSize} МБ'
+}
@@ -1,10 +1,23 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App'
+import I18nProvider from './components/I18nProvider'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <I18nProvider>
+      <App />
+    </I18nProvider>
   </React.StrictMode>,
-)
\ No newline at end of file
+)
+
+// Offline support, in production builds only so development always gets
+// fresh files
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`/sw.js?build=${__BUILD_ID__}`).catch(error => {
+      console.error('Service worker registration failed:', error)
+    })
+  })
+}
@@ -3,4 +3,9 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
+  // Names the service worker cache, so every deploy installs afresh and
+  // drops the previous build's assets
+  define: {
+    __BUILD_ID__: JSON.stringify(Date.now().toString(36)),
+  },
 })
\ No newline at end of file